@@ -4,7 +4,7 @@
  * Browser-friendly configuration for the Flashcards App.
  * - Works in plain JS (no Node.js / process.env)
  * - Can be modified dynamically in UI or during build
- * - Must be loaded before sheets.js in HTML
+ * - Must be loaded before sheetcache.js, sources.js and sheets.js in HTML
  */
 
 const CONFIG = {
@@ -23,15 +23,70 @@ const CONFIG = {
   // Optional fallback for read-only CSV (publicly published)
   PUBLIC_CSV_URL: "",
 
+  // Extra header names for sheet columns (matched ignoring case, spaces and punctuation);
+  // every field also matches its own name, e.g. "Sub Category" for subCategory
+  COLUMN_ALIASES: {
+    id: ["number", "question number", "question no", "question id"],
+    answer: ["answers"],
+    questionWithAsterisk: ["asterisk", "65/20"],
+    civicsTestUpdates: ["test updates", "updates"],
+    bookmark: ["bookmarked"],
+    asked: ["answered"],
+    asOf: ["verified", "last verified"],
+    source: ["source url"]
+  },
+
+  // Start bookmarks and answered questions from the "bookmark"/"asked" columns of a set
+  // until the learner has saved their own (e.g. a teacher pre-marking focus questions)
+  SEED_STUDY_STATE_FROM_SOURCE: true,
+
+  // Cached Sheets/CSV data younger than this is used without asking the API again
+  SHEET_CACHE_MAX_AGE_MINUTES: 10,
+
+  // Manifest of bundled question sets under data/ (works offline)
+  LOCAL_SETS_URL: "data/sets.json",
+
+  // Bundled set to load instead of a Google Sheet (id from the manifest)
+  LOCAL_SET_ID: "",
+
+  // Senators, representatives, governors and capitals by state/territory
+  LOCATIONS_URL: "data/locations.json",
+
+  // Pairs of equivalent 2008/2025 questions, for the version comparison and bookmark mapping
+  VERSION_MAP_URL: "data/versionmap.json",
+
+  // Form N-400 applications filed on or after this date take the 2025 civics test
+  CIVICS_2025_FILING_DATE: "2025-10-20",
+
+  // Time-sensitive answers verified longer ago than this get a warning banner
+  // (senators are appointed, governors resign and Speakers change between elections)
+  ANSWER_MAX_AGE_DAYS: 365,
+
+  // Known dates when officeholders change (terms of Congress, the President and most governors start).
+  // An answer verified before the latest date that has passed also gets the banner, whatever its age.
+  ANSWER_CHANGE_DATES: [
+    { date: "2025-01-03", label: "the 119th Congress took office" },
+    { date: "2025-01-20", label: "the President took office" },
+    { date: "2027-01-03", label: "the 120th Congress and most governors elected in 2026 took office" },
+    { date: "2029-01-03", label: "the 121st Congress took office" },
+    { date: "2029-01-20", label: "the President took office" }
+  ],
+
+  // Default thinking pause of hands-free audio mode, between question and answer
+  AUDIO_MODE_THINK_SECONDS: 5,
+
   // Development mock questions fallback
-  USE_MOCK: true
+  USE_MOCK: true,
+
+  // Question sources, highest priority first (see js/sources.js)
+  SOURCE_PRIORITY: ["sheets", "csv", "local", "mock"]
 };
 
 /**
  * Validate configuration before use
  */
 function validateConfig() {
-  if (!CONFIG.SHEET_ID && !CONFIG.PUBLIC_CSV_URL && !CONFIG.USE_MOCK) {
+  if (!CONFIG.SHEET_ID && !CONFIG.PUBLIC_CSV_URL && !CONFIG.LOCAL_SETS_URL && !CONFIG.USE_MOCK) {
     console.warn("⚠️ No data source configured. The app will have no questions.");
   }
 }
@@ -0,0 +1,424 @@
+/**
+ * js/answers.js
+ *
+ * Answer checking against the acceptable answers of a question.
+ * Features:
+ * - Parses the Markdown bullet list in `answer` into acceptable answers
+ * - Normalizes case, articles, punctuation, "U.S." and parentheticals like "(U.S.)"
+ * - Fuzzy matching for typos and paraphrased long answers
+ * - "Name two/three" questions require that many distinct matches
+ * - Typed-answer mode for the flashcard (multiple choice lives in choices.js)
+ * - Spoken-answer mode: question read aloud, answer by voice (Web Speech API),
+ *   falling back to typing when recognition is unavailable
+ */
+
+/* ======================
+   PARSING
+   ====================== */
+
+// Study notes in the answer list that are not answers themselves
+const ANSWER_NOTE_PATTERN = /^(answers will vary|visit\b|please verify|for a complete list|\d+ out of \d+)/i;
+
+function stripMarkup(text) {
+  return String(text || "")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1") // Markdown links
+    .replace(/<[^>]*>/g, "")                 // HTML tags
+    .replace(/[*_`]/g, "");                  // Emphasis
+}
+
+// Acceptable answers listed in the question's Markdown answer
+function parseAcceptableAnswers(answer) {
+  const lines = String(answer || "").split(/\r?\n/);
+  const items = lines.filter(line => /^\s*[-*]\s+/.test(line));
+
+  return (items.length ? items : lines)
+    .map(line => stripMarkup(line.replace(/^\s*[-*]\s+/, ""))
+      .replace(/\[[^\]]*\]/g, "")           // Bracketed officer notes
+      .replace(/^for state [^:]*:\s*/i, "") // "For state California: ..."
+      .trim())
+    .filter(item => item && !ANSWER_NOTE_PATTERN.test(item));
+}
+
+// How many distinct answers the question asks for ("Name two ...")
+function requiredAnswerCount(question) {
+  const text = stripMarkup(question).toLowerCase();
+  // "Name two ...", "Name the three ...", "What are two ..." (not "There are three branches")
+  const match = text.match(/\b(?:name|what\s+are)\s+(?:the\s+)?(one|two|three)\b/);
+  return match ? ["one", "two", "three"].indexOf(match[1]) + 1 : 1;
+}
+
+// How many acceptable answers a response must match. "Name the three branches" asks for a fixed set,
+// and each acceptable answer lists all of it ("Legislative, executive, and judicial"), so one is enough.
+function answersNeeded(q, acceptable) {
+  const text = stripMarkup(q?.question).toLowerCase();
+  if (/\b(?:name|what\s+are)\s+the\s+(?:two|three)\b/.test(text)) return 1;
+  return Math.max(1, Math.min(requiredAnswerCount(q?.question), acceptable.length));
+}
+
+/* ======================
+   NORMALIZATION
+   ====================== */
+const ANSWER_STOPWORDS = new Set(["a", "an", "the"]);
+
+function normalizeAnswer(text) {
+  return stripMarkup(text)
+    .toLowerCase()
+    .replace(/['’‘]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/\bu\.\s*s\.(\s*a\.?)?/g, "us")
+    .replace(/\bunited states( of america)?\b/g, "us")
+    .replace(/\busa\b/g, "us")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter(word => word && !ANSWER_STOPWORDS.has(word))
+    .join(" ");
+}
+
+// Normalized spellings of one acceptable answer, with and without its parentheticals
+function answerVariants(answer) {
+  const variants = new Set([
+    answer.replace(/\([^)]*\)/g, " "),
+    answer.replace(/[()]/g, " ")
+  ]);
+
+  // "twenty-seven (27)": the number alone is fine too
+  (answer.match(/\(\s*[\d,.]+\s*\)/g) || []).forEach(num => variants.add(num.replace(/[()]/g, "")));
+
+  // "Antietam/Sharpsburg": either name
+  [...variants].forEach(variant => {
+    if (variant.includes("/")) {
+      variants.add(variant.replace(/(\S+)\/(\S+)/g, "$1"));
+      variants.add(variant.replace(/(\S+)\/(\S+)/g, "$2"));
+    }
+  });
+
+  return [...variants].map(normalizeAnswer).filter(Boolean);
+}
+
+/* ======================
+   MATCHING
+   ====================== */
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Numbers and dates in a normalized answer ("july 4 1776" -> ["4", "1776"])
+const numberTokens = text => text.split(" ").filter(word => /\d/.test(word));
+
+// Whether a normalized response matches a normalized variant.
+// Numbers must match exactly: "july 5" is not "July 4", "april 16" is not "April 15".
+function isFuzzyMatch(response, variant) {
+  if (!response || !variant) return false;
+  if (response === variant) return true;
+
+  const numbers = numberTokens(variant);
+  const responseNumbers = new Set(numberTokens(response));
+  if (!numbers.every(number => responseNumbers.has(number))) return false;
+
+  // Small typos in the words: one edit per five characters, numbers left as they are
+  if (variant.length >= 4 && numberTokens(response).join(" ") === numbers.join(" ") &&
+      levenshtein(response, variant) <= Math.floor(variant.length / 5)) return true;
+
+  // The variant said as part of a longer response
+  if (` ${response} `.includes(` ${variant} `)) return true;
+
+  // Paraphrased long answers: most of the meaningful words are present
+  const variantWords = variant.split(" ").filter(word => word.length > 2);
+  if (variantWords.length >= 3) {
+    const responseWords = new Set(response.split(" "));
+    const found = variantWords.filter(word => responseWords.has(word)).length;
+    return found / variantWords.length >= 0.7;
+  }
+
+  return false;
+}
+
+// Split a response into separate answers ("speech, religion and press")
+function splitResponse(response, required) {
+  let parts = String(response || "").split(/[,;\n]+/).map(part => part.trim()).filter(Boolean);
+  if (parts.length < required) {
+    parts = parts.flatMap(part => part.split(/\s+(?:and|&)\s+/i)).map(part => part.trim()).filter(Boolean);
+  }
+  return parts;
+}
+
+/**
+ * Check a typed or spoken response against a question.
+ * Returns { correct, required, matched: [acceptable answers], unmatched: [response parts], acceptable }.
+ */
+function checkAnswer(q, response) {
+  const acceptable = parseAcceptableAnswers(getLocalizedAnswer(q));
+  const required = answersNeeded(q, acceptable);
+  const variants = acceptable.map(answerVariants);
+
+  const findAnswer = (part, used) => {
+    const normalized = normalizeAnswer(part);
+    return variants.findIndex((list, i) => !used.has(i) && list.some(v => isFuzzyMatch(normalized, v)));
+  };
+
+  const used = new Set();
+  const unmatched = [];
+
+  // A single answer may itself contain commas or "and" ("Senate and House")
+  const whole = required === 1 ? findAnswer(response, used) : -1;
+  if (whole !== -1) {
+    used.add(whole);
+  } else {
+    splitResponse(response, required).forEach(part => {
+      const index = findAnswer(part, used);
+      if (index === -1) unmatched.push(part);
+      else used.add(index);
+    });
+  }
+
+  // Unpunctuated lists ("new york virginia and georgia"): look for every answer in the whole response
+  if (used.size < required) {
+    const whole = ` ${normalizeAnswer(response)} `;
+    variants.forEach((list, i) => {
+      if (!used.has(i) && list.some(v => whole.includes(` ${v} `))) used.add(i);
+    });
+  }
+
+  return {
+    correct: used.size >= required,
+    required,
+    matched: [...used].map(i => acceptable[i]),
+    unmatched,
+    acceptable
+  };
+}
+
+/**
+ * Score speech-recognition alternatives (most likely first) against a question.
+ * Picks the alternative with the best result; adds { transcript }.
+ */
+function scoreTranscript(q, alternatives) {
+  const transcripts = (Array.isArray(alternatives) ? alternatives : [alternatives])
+    .map(t => String(t || "").trim())
+    .filter(Boolean);
+
+  let best = null;
+  transcripts.forEach(transcript => {
+    const result = { ...checkAnswer(q, transcript), transcript };
+    if (!best || (result.correct && !best.correct) ||
+        (result.correct === best.correct && result.matched.length > best.matched.length)) {
+      best = result;
+    }
+  });
+
+  return best || { ...checkAnswer(q, ""), transcript: "" };
+}
+
+/* ======================
+   ANSWER MODES (UI)
+   ====================== */
+let answerFeedback = null; // Result of the last check on the current card
+let answerInputFor = null; // Id of the question the typed answer belongs to
+
+function initAnswerModes() {
+  const select = document.getElementById("answer-mode-select");
+  if (select) {
+    const spoken = select.querySelector('option[value="spoken"]');
+    if (spoken && !isSpeechRecognitionSupported()) {
+      spoken.disabled = true;
+      spoken.textContent += " (not supported in this browser)";
+    }
+
+    select.addEventListener("change", () => {
+      filters.answerMode = select.value;
+      answerFeedback = null;
+      displayCurrentQuestion();
+    });
+  }
+
+  const input = document.getElementById("typed-answer-input");
+  if (input) {
+    input.addEventListener("keydown", e => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        checkTypedAnswerInput();
+      }
+    });
+  }
+
+  updateAnswerModeControls();
+}
+
+function updateAnswerModeControls() {
+  const select = document.getElementById("answer-mode-select");
+  if (!select) return;
+  if (filters.answerMode === "spoken" && !isSpeechRecognitionSupported()) {
+    filters.answerMode = "typed";
+  }
+  select.value = filters.answerMode;
+  if (select.value !== filters.answerMode) {
+    filters.answerMode = DEFAULT_FILTERS.answerMode;
+    select.value = filters.answerMode;
+  }
+
+  const seedInput = document.getElementById("choice-seed-input");
+  if (seedInput) seedInput.value = filters.choiceSeed;
+}
+
+function checkTypedAnswerInput() {
+  const q = filteredQuestions[currentIndex];
+  const input = document.getElementById("typed-answer-input");
+  if (!q || !input || !input.value.trim()) return;
+
+  answerFeedback = checkAnswer(q, input.value);
+  logStudyEvent("check", q, { mode: "typed", correct: answerFeedback.correct });
+
+  if (showAnswerFlag) {
+    displayCurrentQuestion();
+  } else {
+    toggleAnswer(); // Reveal and mark as answered
+  }
+}
+
+// Show the controls of the current answer mode and the result of the last check
+function updateAnswerModeUI() {
+  const typed = document.getElementById("typed-answer");
+  const input = document.getElementById("typed-answer-input");
+  const spoken = document.getElementById("spoken-answer");
+  const feedback = document.getElementById("answer-feedback");
+  const q = filteredQuestions[currentIndex];
+
+  if (typed) typed.classList.toggle("hidden", filters.answerMode !== "typed" || !q || showAnswerFlag);
+  if (spoken) spoken.classList.toggle("hidden", filters.answerMode !== "spoken" || !q || showAnswerFlag);
+
+  // New card: start with an empty answer
+  if ((q ? q.id : null) !== answerInputFor) {
+    stopListening();
+    answerInputFor = q ? q.id : null;
+    answerFeedback = null;
+    if (input) input.value = "";
+  }
+
+  renderChoices();
+
+  if (!feedback) return;
+  const show = Boolean(answerFeedback && showAnswerFlag);
+  feedback.classList.toggle("hidden", !show);
+  if (show) feedback.innerHTML = renderAnswerFeedback(answerFeedback);
+}
+
+function renderAnswerFeedback(result) {
+  const status = result.correct
+    ? '<i class="fas fa-circle-check"></i> Correct!'
+    : `<i class="fas fa-circle-xmark"></i> Not quite${result.required > 1 ? ` (${result.matched.length} of ${result.required} needed)` : ""}`;
+
+  const matched = result.matched.length
+    ? `<div>Matched: ${result.matched.map(escapeHtml).join("; ")}</div>`
+    : "";
+  const unmatched = result.unmatched.length
+    ? `<div>Not recognized: ${result.unmatched.map(escapeHtml).join("; ")}</div>`
+    : "";
+  const heard = result.transcript !== undefined
+    ? `<div>You said: “${escapeHtml(result.transcript || "…")}”</div>`
+    : result.choice !== undefined
+      ? `<div>You chose: ${escapeHtml(result.choice)}</div>`
+      : "";
+
+  return `<div class="answer-feedback-status ${result.correct ? "correct" : "incorrect"}">${status}</div>${heard}${matched}${unmatched}`;
+}
+
+/* ======================
+   SPOKEN ANSWERS
+   ====================== */
+let recognition = null; // Active SpeechRecognition session
+
+function getSpeechRecognition() {
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+function isSpeechRecognitionSupported() {
+  return Boolean(getSpeechRecognition());
+}
+
+// Read the question aloud, then listen for the answer
+function askAndListen() {
+  const q = filteredQuestions[currentIndex];
+  if (!q || recognition) return;
+
+  if (!isSpeechRecognitionSupported()) {
+    fallBackToTypedAnswers("Voice answers are not supported in this browser");
+    return;
+  }
+
+  if (isSpeaking) stopSpeaking();
+
+  if (window.speechSynthesis) {
+    speakText(q.question, listenForAnswer, "en", document.getElementById("question-text"));
+  } else {
+    listenForAnswer();
+  }
+}
+
+function listenForAnswer() {
+  const q = filteredQuestions[currentIndex];
+  const Recognition = getSpeechRecognition();
+  if (!q || !Recognition) return;
+
+  recognition = new Recognition();
+  recognition.lang = "en-US";
+  recognition.interimResults = false;
+  recognition.maxAlternatives = 5;
+
+  recognition.onresult = e => {
+    const alternatives = [...e.results[0]].map(alt => alt.transcript);
+    answerFeedback = scoreTranscript(q, alternatives);
+    logStudyEvent("check", q, { mode: "spoken", correct: answerFeedback.correct });
+    if (showAnswerFlag) {
+      displayCurrentQuestion();
+    } else {
+      toggleAnswer(); // Reveal and mark as answered
+    }
+  };
+
+  recognition.onerror = e => {
+    if (e.error === "not-allowed" || e.error === "service-not-allowed") {
+      fallBackToTypedAnswers("Microphone access was denied");
+    } else if (e.error === "no-speech") {
+      showToast("Didn't catch that. Try again.", "warning");
+    } else if (e.error !== "aborted") {
+      console.error("Speech recognition error:", e.error);
+      showToast("Voice answer failed", "error");
+    }
+  };
+
+  recognition.onend = () => {
+    recognition = null;
+    updateListeningButton();
+  };
+
+  recognition.start();
+  updateListeningButton();
+}
+
+function stopListening() {
+  if (recognition) recognition.abort();
+}
+
+function updateListeningButton() {
+  const btn = document.getElementById("spoken-answer-btn");
+  if (!btn) return;
+  btn.classList.toggle("active", Boolean(recognition));
+  btn.innerHTML = recognition
+    ? '<i class="fas fa-microphone-lines"></i> Listening...'
+    : '<i class="fas fa-microphone"></i> Ask &amp; Answer by Voice';
+}
+
+function fallBackToTypedAnswers(message) {
+  filters.answerMode = "typed";
+  updateAnswerModeControls();
+  displayCurrentQuestion();
+  showToast(`${message}. Type your answer instead.`, "warning");
+}
@@ -0,0 +1,261 @@
+/**
+ * js/audiomode.js
+ *
+ * Hands-free audio study.
+ * Features:
+ * - Reads the question, waits a thinking pause, reads the answer, then moves on with nextQuestion()
+ * - Loops through the filtered deck, so filters, shuffle, bookmarks and spaced repetition all apply
+ * - Play/pause/next/previous from headphones or the lock screen (Media Session API)
+ * - Pausing keeps the card and step; playing again picks up there (the card itself is saved with progress)
+ * - Thinking pause saved in localStorage
+ */
+
+/* ======================
+   SETTINGS
+   ====================== */
+const AUDIO_MODE_KEY = "audioMode";
+const AUDIO_MODE_MAX_THINK_SECONDS = 60;
+const AUDIO_MODE_GAP_MS = 1500; // Silence after the answer before the next card
+
+let audioModeSettings = { thinkSeconds: CONFIG.AUDIO_MODE_THINK_SECONDS ?? 5 };
+
+function clampThinkSeconds(value) {
+  const seconds = Math.round(Number(value));
+  if (!Number.isFinite(seconds)) return CONFIG.AUDIO_MODE_THINK_SECONDS ?? 5;
+  return Math.min(AUDIO_MODE_MAX_THINK_SECONDS, Math.max(0, seconds));
+}
+
+function loadAudioModeSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(AUDIO_MODE_KEY) || "{}") || {};
+  } catch {}
+  audioModeSettings = { thinkSeconds: clampThinkSeconds(saved.thinkSeconds ?? CONFIG.AUDIO_MODE_THINK_SECONDS ?? 5) };
+
+  const input = document.getElementById("audio-think-seconds");
+  if (input) input.value = String(audioModeSettings.thinkSeconds);
+}
+
+function saveAudioModeSettings() {
+  localStorage.setItem(AUDIO_MODE_KEY, JSON.stringify(audioModeSettings));
+}
+
+function initAudioMode() {
+  loadAudioModeSettings();
+
+  const input = document.getElementById("audio-think-seconds");
+  if (input) {
+    input.addEventListener("change", () => {
+      audioModeSettings.thinkSeconds = clampThinkSeconds(input.value);
+      input.value = String(audioModeSettings.thinkSeconds);
+      saveAudioModeSettings();
+    });
+  }
+  renderAudioModeStatus();
+}
+
+/* ======================
+   PLAYBACK
+   ====================== */
+// step: "question" -> "thinking" -> "answer" -> "next"; questionId: card the step belongs to
+let audioMode = { playing: false, step: "question", questionId: null, timer: null };
+
+function toggleAudioMode() {
+  if (audioMode.playing) pauseAudioMode();
+  else playAudioMode();
+}
+
+function playAudioMode() {
+  if (audioMode.playing) return;
+  if (!window.speechSynthesis) {
+    showToast("Speech is not supported in this browser", "error");
+    return;
+  }
+  const q = filteredQuestions[currentIndex];
+  if (!q) {
+    showToast("No questions match the current filters", "error");
+    return;
+  }
+
+  audioMode.playing = true;
+  startMediaSession();
+
+  // Same card as before the pause: repeat its step; otherwise start with what is on screen
+  const step = q.id === audioMode.questionId ? audioMode.step : showAnswerFlag ? "answer" : "question";
+  runAudioStep(step);
+}
+
+function pauseAudioMode() {
+  if (!audioMode.playing) return;
+  audioMode.playing = false;
+  clearTimeout(audioMode.timer);
+  stopSpeaking();
+  pauseMediaSession();
+  renderAudioModeStatus();
+}
+
+function stopAudioMode() {
+  pauseAudioMode();
+  audioMode = { playing: false, step: "question", questionId: null, timer: null };
+  renderAudioModeStatus();
+}
+
+function runAudioStep(step) {
+  clearTimeout(audioMode.timer);
+  if (!audioMode.playing) return;
+
+  const q = filteredQuestions[currentIndex];
+  if (!q) {
+    stopAudioMode();
+    return;
+  }
+
+  audioMode.step = step;
+  audioMode.questionId = q.id;
+  if (isSpeaking) stopSpeaking();
+  updateMediaMetadata(q);
+  renderAudioModeStatus();
+
+  switch (step) {
+    case "question":
+      startSpeech(q.question, () => runAudioStep("thinking"), "en", document.getElementById("question-text"));
+      break;
+    case "thinking":
+      audioMode.timer = setTimeout(() => runAudioStep("answer"), audioModeSettings.thinkSeconds * 1000);
+      break;
+    case "answer":
+      if (!showAnswerFlag) toggleAnswer(); // Marks the card answered, like a manual reveal
+      startSpeech(getLocalizedAnswer(q), () => runAudioStep("next"), "en", document.getElementById("answer-text"));
+      break;
+    case "next":
+      audioMode.timer = setTimeout(advanceAudioMode, AUDIO_MODE_GAP_MS);
+      break;
+  }
+}
+
+function advanceAudioMode() {
+  const before = audioMode.questionId;
+  nextQuestion(); // Starts reading the new card through syncAudioModeCard()
+  if (audioMode.playing && audioMode.questionId === before) runAudioStep("question"); // One-card deck
+}
+
+// Called whenever a card is shown: a different card (manual navigation, filters) is read from its question
+function syncAudioModeCard() {
+  if (!audioMode.playing) return;
+
+  const q = filteredQuestions[currentIndex];
+  if (!q) {
+    stopAudioMode();
+    showToast("Audio mode stopped: no questions match the current filters", "info");
+  } else if (q.id !== audioMode.questionId) {
+    runAudioStep("question");
+  }
+}
+
+function audioModeNext() {
+  if (!filteredQuestions.length) return;
+  if (!showAnswerFlag) toggleAnswer();
+  nextQuestion();
+}
+
+function audioModePrevious() {
+  prevQuestion();
+}
+
+/* ======================
+   MEDIA SESSION
+   ====================== */
+let silentAudio = null; // Looping silence, so the browser routes media keys to this page while speaking
+
+// One second of 8 kHz, 8-bit mono silence as a WAV file
+function createSilentAudio() {
+  const samples = 8000;
+  const view = new DataView(new ArrayBuffer(44 + samples));
+  const writeText = (offset, text) => [...text].forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+
+  writeText(0, "RIFF");
+  view.setUint32(4, 36 + samples, true);
+  writeText(8, "WAVE");
+  writeText(12, "fmt ");
+  view.setUint32(16, 16, true);     // Format chunk size
+  view.setUint16(20, 1, true);      // PCM
+  view.setUint16(22, 1, true);      // Mono
+  view.setUint32(24, samples, true); // Sample rate
+  view.setUint32(28, samples, true); // Byte rate
+  view.setUint16(32, 1, true);      // Block align
+  view.setUint16(34, 8, true);      // Bits per sample
+  writeText(36, "data");
+  view.setUint32(40, samples, true);
+  for (let i = 0; i < samples; i++) view.setUint8(44 + i, 128);
+
+  const audio = new Audio(URL.createObjectURL(new Blob([view.buffer], { type: "audio/wav" })));
+  audio.loop = true;
+  audio.addEventListener("pause", pauseAudioMode); // Headphones unplugged, or a pause the page did not handle
+  return audio;
+}
+
+function startMediaSession() {
+  try {
+    if (!silentAudio) silentAudio = createSilentAudio();
+    const playing = silentAudio.play();
+    if (playing && playing.catch) playing.catch(err => console.warn("Media controls unavailable:", err));
+  } catch (err) {
+    console.warn("Media controls unavailable:", err);
+  }
+
+  if (!("mediaSession" in navigator)) return;
+  const handlers = {
+    play: playAudioMode,
+    pause: pauseAudioMode,
+    stop: stopAudioMode,
+    nexttrack: audioModeNext,
+    previoustrack: audioModePrevious
+  };
+  Object.entries(handlers).forEach(([action, handler]) => {
+    try {
+      navigator.mediaSession.setActionHandler(action, handler);
+    } catch {} // Action not supported by this browser
+  });
+  navigator.mediaSession.playbackState = "playing";
+}
+
+function pauseMediaSession() {
+  if (silentAudio && !silentAudio.paused) silentAudio.pause();
+  if ("mediaSession" in navigator) navigator.mediaSession.playbackState = "paused";
+}
+
+function updateMediaMetadata(q) {
+  if (!("mediaSession" in navigator) || !window.MediaMetadata) return;
+  navigator.mediaSession.metadata = new MediaMetadata({
+    title: stripMarkup(q.question),
+    artist: `Question ${currentIndex + 1} of ${filteredQuestions.length}`,
+    album: getCurrentSetName() || "Civics Flashcards"
+  });
+}
+
+/* ======================
+   STATUS
+   ====================== */
+function renderAudioModeStatus() {
+  const status = document.getElementById("audio-mode-status");
+  const button = document.getElementById("audio-mode-btn");
+  const position = `card ${currentIndex + 1} of ${filteredQuestions.length}`;
+
+  if (button) {
+    button.innerHTML = audioMode.playing
+      ? '<i class="fas fa-pause"></i> Pause Audio Mode'
+      : `<i class="fas fa-headphones"></i> ${audioMode.questionId === null ? "Start" : "Resume"} Audio Mode`;
+  }
+  if (!status) return;
+
+  if (!audioMode.playing) {
+    status.textContent = audioMode.questionId === null ? "" : `Paused at ${position}`;
+    return;
+  }
+  status.textContent = {
+    question: `Reading the question (${position})`,
+    thinking: `Your turn: answer within ${audioModeSettings.thinkSeconds} seconds`,
+    answer: "Reading the answer",
+    next: "Next card..."
+  }[audioMode.step];
+}
@@ -0,0 +1,340 @@
+/**
+ * js/backup.js
+ *
+ * Full backup and restore of study data.
+ * Features:
+ * - One versioned JSON file with bookmarks for all sets, progress and filters,
+ *   spaced-repetition state, study history and settings (theme, location, filing date, study language, voice, audio mode, last question set)
+ * - Import validates the file and previews what will be added, updated or removed
+ * - Merge (combine with the data on this device) or Replace (use the backup as is)
+ */
+
+/* ======================
+   BACKUP FORMAT
+   ====================== */
+const BACKUP_FORMAT = "uscis-civics-flashcards-backup";
+const BACKUP_VERSION = 1;
+
+const isPlainObject = value => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+const isId = value => typeof value === "number" || typeof value === "string";
+const isFiniteNumber = value => typeof value === "number" && Number.isFinite(value);
+
+// [{ id, hash? }] as saved by saveBookmarks()
+const isBookmarkList = value => Array.isArray(value) && value.every(item =>
+  isPlainObject(item) &&
+  isId(item.id) &&
+  (item.hash === undefined || typeof item.hash === "string")
+);
+
+// { answered: [id], currentId?, order?: [id] | null, filters?: {}, savedAt? } as saved by saveProgress()
+const isProgressData = value =>
+  isPlainObject(value) &&
+  Array.isArray(value.answered) && value.answered.every(isId) &&
+  (value.currentId === undefined || value.currentId === null || isId(value.currentId)) &&
+  (value.order === undefined || value.order === null || (Array.isArray(value.order) && value.order.every(isId))) &&
+  (value.filters === undefined || isPlainObject(value.filters)) &&
+  (value.savedAt === undefined || typeof value.savedAt === "string");
+
+// { hash: { ease, interval, due, lastReviewed, ... } } as saved by saveReviewCards()
+const isReviewData = value =>
+  isPlainObject(value) &&
+  Object.values(value).every(card =>
+    isPlainObject(card) && ["ease", "interval", "due", "lastReviewed"].every(field => isFiniteNumber(card[field]))
+  );
+
+// [{ type, at, ... }] as saved by logStudyEvent()
+const isStudyHistory = value => Array.isArray(value) &&
+  value.every(event => isPlainObject(event) && typeof event.type === "string" && isFiniteNumber(event.at));
+
+// Every localStorage entry the app owns, grouped for the preview
+const BACKUP_SECTIONS = [
+  { name: "Bookmarks", match: key => key.startsWith("bookmarks:"), valid: isBookmarkList, merge: mergeBookmarkItems },
+  { name: "Progress & filters", match: key => key.startsWith("progress:"), valid: isProgressData, merge: mergeProgressData },
+  { name: "Spaced repetition", match: key => key.startsWith("srs:"), valid: isReviewData, merge: mergeReviewData },
+  { name: "Study history", match: key => key === STUDY_EVENTS_KEY, valid: isStudyHistory, merge: mergeStudyHistory },
+  { name: "Question set", match: key => key === LAST_SET_KEY, raw: true, valid: value => typeof value === "string", merge: current => current },
+  { name: "Theme", match: key => key === "theme", raw: true, valid: value => value === "light" || value === "dark", merge: current => current },
+  { name: "Location", match: key => key === "location", valid: isPlainObject, merge: current => current },
+  { name: "Study language", match: key => key === STUDY_LANGUAGE_KEY, raw: true, valid: value => typeof value === "string", merge: current => current },
+  { name: "Voice & speech", match: key => key === TTS_SETTINGS_KEY, valid: isPlainObject, merge: current => current },
+  { name: "Audio mode", match: key => key === AUDIO_MODE_KEY, valid: isPlainObject, merge: current => current },
+  { name: "Filing date", match: key => key === FILING_DATE_KEY, raw: true, valid: value => Boolean(getApplicableVersion(value)), merge: current => current }
+];
+
+function findBackupSection(key) {
+  return BACKUP_SECTIONS.find(section => section.match(key)) || null;
+}
+
+function readStoredValue(key, section) {
+  const stored = localStorage.getItem(key);
+  if (stored === null || section.raw) return stored;
+  try {
+    return JSON.parse(stored);
+  } catch {
+    return null;
+  }
+}
+
+function writeStoredValue(key, value, section) {
+  localStorage.setItem(key, section.raw ? String(value) : JSON.stringify(value));
+}
+
+// Current app data as { key: value }
+function collectBackupData() {
+  const data = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    const section = findBackupSection(key);
+    if (!section) continue;
+    const value = readStoredValue(key, section);
+    if (value !== null && section.valid(value)) data[key] = value;
+  }
+  return data;
+}
+
+function exportBackup() {
+  saveProgress(); // Include the current position
+
+  const date = new Date().toISOString().split("T")[0]; // YYYY-MM-DD
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: collectBackupData()
+  };
+
+  const blob = new Blob([JSON.stringify(backup)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `flashcards-backup-${date}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+
+  showToast("Backup exported!", "info");
+}
+
+/**
+ * Check a parsed backup file.
+ * Returns { data, skipped } with only known, well-formed entries; throws on an unusable file.
+ */
+function validateBackup(backup) {
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    throw new Error("Not a flashcards backup file");
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Error("Backup has no valid version");
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(`Backup version ${backup.version} is newer than this app supports (${BACKUP_VERSION})`);
+  }
+  if (!isPlainObject(backup.data)) {
+    throw new Error("Backup has no data");
+  }
+
+  const data = {};
+  const skipped = [];
+  Object.entries(backup.data).forEach(([key, value]) => {
+    const section = findBackupSection(key);
+    if (section && section.valid(value)) data[key] = value;
+    else skipped.push(key);
+  });
+
+  return { data, skipped };
+}
+
+/* ======================
+   MERGING
+   ====================== */
+
+// Union of [{ id, hash }], matching by hash first, then by id
+function mergeBookmarkItems(current, imported) {
+  const same = (a, b) => (a.hash && b.hash ? a.hash === b.hash : a.id === b.id);
+  return [...current, ...imported.filter(item => !current.some(existing => same(existing, item)))];
+}
+
+// Answered questions from both; position and filters from the most recently saved
+function mergeProgressData(current, imported) {
+  const newer = String(imported.savedAt || "") > String(current.savedAt || "") ? imported : current;
+  const answered = [...new Set([...(current.answered || []), ...(imported.answered || [])])];
+  return { ...newer, answered };
+}
+
+// Per card, keep whichever was reviewed last
+function mergeReviewData(current, imported) {
+  const merged = { ...current };
+  Object.entries(imported).forEach(([hash, card]) => {
+    if (!merged[hash] || (card?.lastReviewed || 0) > (merged[hash].lastReviewed || 0)) merged[hash] = card;
+  });
+  return merged;
+}
+
+function mergeStudyHistory(current, imported) {
+  const seen = new Set(current.map(event => `${event.at}:${event.type}:${event.hash}`));
+  const added = imported.filter(event => !seen.has(`${event.at}:${event.type}:${event.hash}`));
+  return [...current, ...added].sort((a, b) => a.at - b.at).slice(-STUDY_EVENTS_MAX);
+}
+
+/**
+ * Work out what restoring would change.
+ * mode: "merge" keeps local data and settings and adds the backup's; "replace" makes local data match the backup.
+ * Returns [{ key, section, action: "add" | "update" | "remove", value }]
+ */
+function planRestore(data, mode) {
+  const current = collectBackupData();
+  const changes = [];
+
+  Object.entries(data).forEach(([key, imported]) => {
+    const section = findBackupSection(key);
+    if (!(key in current)) {
+      changes.push({ key, section, action: "add", value: imported });
+      return;
+    }
+    const value = mode === "merge" ? section.merge(current[key], imported) : imported;
+    if (JSON.stringify(value) !== JSON.stringify(current[key])) {
+      changes.push({ key, section, action: "update", value });
+    }
+  });
+
+  if (mode === "replace") {
+    Object.keys(current)
+      .filter(key => !(key in data))
+      .forEach(key => changes.push({ key, section: findBackupSection(key), action: "remove" }));
+  }
+
+  return changes;
+}
+
+/* ======================
+   RESTORE UI
+   ====================== */
+let pendingBackup = null; // { fileName, exportedAt, data, skipped, mode }
+
+function initBackup() {
+  const input = document.getElementById("import-backup-input");
+  if (input) input.addEventListener("change", handleBackupImport);
+}
+
+function handleBackupImport(event) {
+  const file = event.target.files[0];
+  event.target.value = ""; // Allow choosing the same file again
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = e => {
+    try {
+      const backup = JSON.parse(e.target.result);
+      const { data, skipped } = validateBackup(backup);
+      pendingBackup = { fileName: file.name, exportedAt: backup.exportedAt, data, skipped, mode: "merge" };
+      renderBackupPreview();
+    } catch (err) {
+      pendingBackup = null;
+      renderBackupPreview();
+      showToast(err instanceof SyntaxError ? "Backup file is not valid JSON" : err.message, "error");
+    }
+  };
+
+  reader.readAsText(file);
+}
+
+function setRestoreMode(mode) {
+  if (!pendingBackup) return;
+  pendingBackup.mode = mode;
+  renderBackupPreview();
+}
+
+function renderBackupPreview() {
+  const preview = document.getElementById("backup-preview");
+  if (!preview) return;
+
+  preview.classList.toggle("hidden", !pendingBackup);
+  if (!pendingBackup) {
+    preview.innerHTML = "";
+    return;
+  }
+
+  const changes = planRestore(pendingBackup.data, pendingBackup.mode);
+  const count = (section, action) => changes.filter(c => c.section === section && c.action === action).length;
+  const rows = BACKUP_SECTIONS
+    .filter(section => changes.some(c => c.section === section))
+    .map(section => `
+      <tr>
+        <td>${section.name}</td>
+        <td>${count(section, "add")}</td>
+        <td>${count(section, "update")}</td>
+        <td>${count(section, "remove")}</td>
+      </tr>`).join("");
+
+  const exported = Date.parse(pendingBackup.exportedAt);
+  const radio = (mode, label) => `
+    <label class="checkbox-group">
+      <input type="radio" class="checkbox" name="restore-mode" value="${mode}"
+        ${pendingBackup.mode === mode ? "checked" : ""} onchange="setRestoreMode('${mode}')" />
+      ${label}
+    </label>`;
+
+  preview.innerHTML = `
+    <div class="answer-label">
+      Restore "${escapeHtml(pendingBackup.fileName)}"${Number.isNaN(exported) ? "" : ` from ${new Date(exported).toLocaleString()}`}
+    </div>
+    ${radio("merge", "Merge with the data on this device (keeps your settings)")}
+    ${radio("replace", "Replace the data on this device with the backup")}
+    ${rows ? `
+      <table class="stats-table">
+        <thead><tr><th>Data</th><th>Added</th><th>Updated</th><th>Removed</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>` : '<div class="progress-stats">Nothing to change: this device already has the same data.</div>'}
+    ${pendingBackup.skipped.length ? `<div class="progress-stats">${pendingBackup.skipped.length} unrecognized entries will be skipped.</div>` : ""}
+    <div class="btn-group-flex">
+      <button class="btn btn-primary" onclick="applyPendingBackup()" ${rows ? "" : "disabled"}><i class="fas fa-check"></i> Restore</button>
+      <button class="btn btn-outline" onclick="cancelPendingBackup()">Cancel</button>
+    </div>
+  `;
+}
+
+function cancelPendingBackup() {
+  pendingBackup = null;
+  renderBackupPreview();
+}
+
+function applyPendingBackup() {
+  if (!pendingBackup) return;
+
+  const changes = planRestore(pendingBackup.data, pendingBackup.mode);
+  progressSetKey = null; // Don't let the open session overwrite restored progress
+
+  const failed = new Set(); // Section names
+  changes.forEach(change => {
+    try {
+      if (change.action === "remove") localStorage.removeItem(change.key);
+      else writeStoredValue(change.key, change.value, change.section);
+    } catch (err) {
+      console.error(`Restore of ${change.key} failed:`, err);
+      failed.add(change.section.name);
+    }
+  });
+
+  pendingBackup = null;
+  renderBackupPreview();
+  reloadStoredState();
+  if (failed.size) {
+    showToast(`Backup partly restored; could not write ${[...failed].join(", ")} (storage full?)`, "error");
+  } else {
+    showToast(`Backup restored (${changes.length} ${changes.length === 1 ? "change" : "changes"})`, "success");
+  }
+}
+
+// Re-read everything the app keeps in localStorage
+function reloadStoredState() {
+  studyEvents = null;
+  reviewState = { setKey: null, cards: {} };
+  initTheme();
+  loadStudyLanguage();
+  loadTtsSettings();
+  syncTtsControls();
+  loadAudioModeSettings();
+  reloadLocation();
+  initializeBookmarks();
+  restoreProgress();
+  renderVersionPanel();
+}
@@ -0,0 +1,266 @@
+/**
+ * js/bookmarkimport.js
+ *
+ * Bookmark import that works across question sets.
+ * Features:
+ * - Reads bookmark JSON exports (old id-only files too), CSV (id and/or question columns)
+ *   and plain id lists ("1, 5, 12")
+ * - Maps bookmarks by question content, so a 2008 list lands on the matching 2025 questions
+ * - Id-only files from another bundled set are resolved against that set's questions,
+ *   or through the 2008/2025 question map (versions.js) when both sets have a test version
+ * - Preview of additions, removals and unknown entries before anything changes
+ * - Merge (add to current bookmarks) or Replace (bookmark exactly the imported questions)
+ */
+
+/* ======================
+   PARSING
+   ====================== */
+
+/**
+ * Parse an imported bookmark file.
+ * Returns { setKey, setName, items: [{ id?, hash?, question? }] }; throws when nothing usable is found.
+ */
+function parseBookmarkFile(text) {
+  const trimmed = String(text || "").replace(/^\uFEFF/, "").trim();
+  if (!trimmed) throw new Error("The file is empty");
+
+  if (/^[[{]/.test(trimmed)) return parseBookmarkJson(JSON.parse(trimmed));
+  if (/^[\d\s,;]+$/.test(trimmed)) {
+    return { setKey: "", setName: "", items: trimmed.split(/[\s,;]+/).filter(Boolean).map(id => ({ id: Number(id) })) };
+  }
+  return parseBookmarkCsv(trimmed);
+}
+
+function parseBookmarkJson(data) {
+  const toItem = entry => (typeof entry === "object" && entry !== null ? entry : { id: entry });
+  const setKey = String(data?.setKey || "");
+  const setName = String(data?.set || "");
+
+  let entries = null;
+  if (Array.isArray(data)) entries = data;
+  else if (Array.isArray(data?.items)) entries = data.items;
+  else if (Array.isArray(data?.bookmarks)) entries = data.bookmarks;
+  if (!entries) throw new Error("Invalid bookmark file format");
+
+  const items = entries.map(toItem).map(item => ({
+    id: Number.isFinite(Number(item.id)) && item.id !== "" ? Number(item.id) : undefined,
+    hash: item.hash ? String(item.hash) : undefined,
+    question: item.question ? String(item.question) : undefined
+  }));
+  return { setKey, setName, items };
+}
+
+// Columns are found by header ("id", "question", "hash"); without a header: id, then question
+function parseBookmarkCsv(text) {
+  const rows = parseCsv(text);
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const hasHeader = header.some(cell => ["id", "question", "hash"].includes(cell));
+  const column = name => (hasHeader ? header.indexOf(name) : { id: 0, question: 1, hash: -1 }[name]);
+  const [idCol, questionCol, hashCol] = ["id", "question", "hash"].map(column);
+
+  const items = (hasHeader ? rows.slice(1) : rows)
+    .map(row => {
+      const id = idCol >= 0 ? String(row[idCol] || "").trim() : "";
+      return {
+        id: /^\d+$/.test(id) ? Number(id) : undefined,
+        question: questionCol >= 0 ? String(row[questionCol] || "").trim() || undefined : undefined,
+        hash: hashCol >= 0 ? String(row[hashCol] || "").trim() || undefined : undefined
+      };
+    })
+    .filter(item => item.id !== undefined || item.question || item.hash);
+
+  if (!items.length) throw new Error("No bookmarks found in the CSV file");
+  return { setKey: "", setName: "", items };
+}
+
+/* ======================
+   MATCHING
+   ====================== */
+const QUESTION_MATCH_THRESHOLD = 0.6; // Share of words two wordings must have in common
+
+// Words of a question without its number, markup and filler words
+function questionWords(question) {
+  return new Set(normalizeAnswer(String(question || "").replace(/^\s*\d+\.\s*/, "")).split(" ").filter(Boolean));
+}
+
+function questionSimilarity(a, b) {
+  const wordsA = questionWords(a);
+  const wordsB = questionWords(b);
+  if (!wordsA.size || !wordsB.size) return 0;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// The question of list asking the same as `question`, or null
+function findMatchingQuestion(question, list) {
+  let best = null;
+  let bestScore = QUESTION_MATCH_THRESHOLD;
+  list.forEach(q => {
+    const score = questionSimilarity(question, q.question);
+    if (score >= bestScore) {
+      best = q;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+// Questions of another set listed in the dropdown, when an id-only file names one
+async function loadImportSourceSet(setKey, setName) {
+  if ((setKey && setKey === getCurrentSetKey()) || (!setKey && (!setName || setName === getCurrentSetName()))) {
+    return null;
+  }
+
+  const set = availableSets.find(s => `${s.source}:${s.id}` === setKey) ||
+    availableSets.find(s => s.name === setName);
+  const source = set && getQuestionSource(set.source);
+  if (!source) return null;
+
+  try {
+    return { set, questions: await source.loadSet(set.id) };
+  } catch (err) {
+    console.warn(`Could not load "${set.name}" to map bookmarks:`, err);
+    return null;
+  }
+}
+
+/**
+ * Match imported items to questions of the loaded set.
+ * Returns { matched: [question], unknown: [label], sourceSet: set the ids were looked up in, or null }
+ */
+async function resolveBookmarkImport(parsed) {
+  const sourceSet = await loadImportSourceSet(parsed.setKey, parsed.setName);
+  const byHash = new Map(questions.map(q => [questionHash(q), q]));
+  const matched = new Set();
+  const unknown = [];
+
+  parsed.items.forEach(item => {
+    let question = item.question;
+    if (!question && !item.hash && sourceSet) {
+      const counterpart = sourceSet.set.version && selectedSet?.version
+        ? getCounterpartId(item.id, String(sourceSet.set.version), String(selectedSet.version))
+        : null;
+      const paired = counterpart !== null && questions.find(q => q.id === counterpart);
+      if (paired) {
+        matched.add(paired);
+        return;
+      }
+
+      // Id from another set: look up its wording there
+      question = sourceSet.questions.find(q => q.id === item.id)?.question;
+      if (!question) {
+        unknown.push(`#${item.id} (not in "${sourceSet.set.name}")`);
+        return;
+      }
+    }
+
+    let q = (item.hash && byHash.get(item.hash)) || null;
+    if (!q && question) q = findMatchingQuestion(question, questions);
+    if (!q && !question && !sourceSet && item.id !== undefined) {
+      q = questions.find(other => other.id === item.id) || null;
+    }
+
+    if (q) matched.add(q);
+    else unknown.push(question ? `"${stripMarkup(question)}"` : `#${item.id ?? item.hash}`);
+  });
+
+  return { matched: [...matched], unknown, sourceSet: sourceSet?.set || null };
+}
+
+/* ======================
+   IMPORT UI
+   ====================== */
+let pendingBookmarkImport = null; // { fileName, matched, unknown, sourceSet, mode }
+
+function handleBookmarkImport(event) {
+  const file = event.target.files[0];
+  event.target.value = ""; // Allow choosing the same file again
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = async e => {
+    try {
+      const parsed = parseBookmarkFile(e.target.result);
+      pendingBookmarkImport = { fileName: file.name, ...(await resolveBookmarkImport(parsed)), mode: "merge" };
+    } catch (err) {
+      pendingBookmarkImport = null;
+      showToast(err instanceof SyntaxError ? "Bookmark file is not valid JSON" : err.message, "error");
+    }
+    renderBookmarkImportPreview();
+  };
+
+  reader.readAsText(file);
+}
+
+function setBookmarkImportMode(mode) {
+  if (!pendingBookmarkImport) return;
+  pendingBookmarkImport.mode = mode;
+  renderBookmarkImportPreview();
+}
+
+// Questions added and removed by the pending import
+function planBookmarkImport(pending) {
+  const importedIds = new Set(pending.matched.map(q => q.id));
+  return {
+    additions: pending.matched.filter(q => !bookmarkedQuestions.has(q.id)),
+    removals: pending.mode === "replace" ? questions.filter(q => bookmarkedQuestions.has(q.id) && !importedIds.has(q.id)) : []
+  };
+}
+
+function renderBookmarkImportPreview() {
+  const preview = document.getElementById("bookmark-import-preview");
+  if (!preview) return;
+
+  const pending = pendingBookmarkImport;
+  preview.classList.toggle("hidden", !pending);
+  if (!pending) {
+    preview.innerHTML = "";
+    return;
+  }
+
+  const { additions, removals } = planBookmarkImport(pending);
+  const list = (items, label) => items.length ? `
+    <div class="answer-label">${label} (${items.length})</div>
+    <ul class="stats-list">${items.map(item => `<li>${escapeHtml(item)}</li>`).join("")}</ul>` : "";
+  const radio = (mode, text) => `
+    <label class="checkbox-group">
+      <input type="radio" class="checkbox" name="bookmark-import-mode" value="${mode}"
+        ${pending.mode === mode ? "checked" : ""} onchange="setBookmarkImportMode('${mode}')" />
+      ${text}
+    </label>`;
+
+  preview.innerHTML = `
+    <div class="answer-label">Import "${escapeHtml(pending.fileName)}" into "${escapeHtml(getCurrentSetName() || "current set")}"</div>
+    ${pending.sourceSet ? `<div class="progress-stats">Mapped from "${escapeHtml(pending.sourceSet.name)}" by question content.</div>` : ""}
+    ${radio("merge", "Add to my bookmarks")}
+    ${radio("replace", "Replace my bookmarks")}
+    ${list(additions.map(q => stripMarkup(q.question)), "Will be bookmarked")}
+    ${list(removals.map(q => stripMarkup(q.question)), "Will be removed")}
+    ${list(pending.unknown, "Not found in this set")}
+    ${additions.length || removals.length ? "" : '<div class="progress-stats">No changes: these questions are already bookmarked.</div>'}
+    <div class="btn-group-flex">
+      <button class="btn btn-primary" onclick="applyBookmarkImport()" ${additions.length || removals.length ? "" : "disabled"}><i class="fas fa-check"></i> Import</button>
+      <button class="btn btn-outline" onclick="cancelBookmarkImport()">Cancel</button>
+    </div>
+  `;
+}
+
+function cancelBookmarkImport() {
+  pendingBookmarkImport = null;
+  renderBookmarkImportPreview();
+}
+
+function applyBookmarkImport() {
+  if (!pendingBookmarkImport) return;
+
+  const { additions, removals } = planBookmarkImport(pendingBookmarkImport);
+  additions.forEach(q => bookmarkedQuestions.add(q.id));
+  removals.forEach(q => bookmarkedQuestions.delete(q.id));
+  saveBookmarks();
+  applyFilters();
+  updateBookmarkIcon();
+
+  pendingBookmarkImport = null;
+  renderBookmarkImportPreview();
+  showToast(`Bookmarks imported: ${additions.length} added, ${removals.length} removed`, "success");
+}
@@ -0,0 +1,175 @@
+/**
+ * js/choices.js
+ *
+ * Multiple-choice quiz mode.
+ * Features:
+ * - Four options per card: one correct, three distractors
+ * - Distractors come from other questions of the same kind (who/when/where...)
+ *   in the same sub-category, then widen, so people are offered for people and dates for dates
+ * - Seeded randomness (filters.choiceSeed): the same seed gives the same quiz
+ * - Answering reveals the card and counts toward progress like any other mode
+ */
+
+/* ======================
+   SEEDED RANDOMNESS
+   ====================== */
+
+// mulberry32: small, fast PRNG returning numbers in [0, 1)
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function seededShuffle(arr, random) {
+  const a = arr.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+/* ======================
+   OPTION BUILDING
+   ====================== */
+const CHOICE_COUNT = 4;
+
+// What a question asks for, from its first question word ("who", "when", "how many"...)
+function questionKind(q) {
+  const match = stripMarkup(q.question).toLowerCase().match(/\b(who|when|where|why|how many|how|which|what|name)\b/);
+  return match ? match[1] : "";
+}
+
+/**
+ * Build the options for a question.
+ * Returns { options: [string], answerIndex } or null when the card has no usable answers.
+ * "Name two" questions get options made of two answers each.
+ */
+function buildChoices(q, pool = questions, seed = filters.choiceSeed) {
+  const acceptable = parseAcceptableAnswers(getLocalizedAnswer(q));
+  if (!acceptable.length) return null;
+
+  const random = createSeededRandom(parseInt(hashString(`${seed}:${questionHash(q)}`), 16));
+  const required = answersNeeded(q, acceptable);
+  const correct = seededShuffle(acceptable, random).slice(0, required).join(", ");
+
+  // Widen the distractor pool only as far as needed
+  const taken = new Set(acceptable.map(normalizeAnswer));
+  const needed = (CHOICE_COUNT - 1) * required;
+  let candidates = [];
+
+  const kind = questionKind(q);
+  const sameGroup = other => other.subCategory === q.subCategory && other.category === q.category;
+
+  for (const related of [
+    other => sameGroup(other) && questionKind(other) === kind,
+    other => other.category === q.category && questionKind(other) === kind,
+    sameGroup,
+    other => other.category === q.category,
+    () => true
+  ]) {
+    pool.filter(other => other !== q && related(other)).forEach(other => {
+      parseAcceptableAnswers(other.answer).forEach(answer => {
+        const normalized = normalizeAnswer(answer);
+        if (normalized && !taken.has(normalized)) {
+          taken.add(normalized);
+          candidates.push(answer);
+        }
+      });
+    });
+    if (candidates.length >= needed) break;
+  }
+
+  candidates = seededShuffle(candidates, random);
+  const distractors = [];
+  for (let i = 0; i + required <= candidates.length && distractors.length < CHOICE_COUNT - 1; i += required) {
+    distractors.push(candidates.slice(i, i + required).join(", "));
+  }
+
+  const options = seededShuffle([correct, ...distractors], random);
+  return { options, answerIndex: options.indexOf(correct) };
+}
+
+/* ======================
+   QUIZ STATE & UI
+   ====================== */
+let currentChoices = null; // { id, seed, options, answerIndex, chosen }
+
+function initMultipleChoice() {
+  const seedInput = document.getElementById("choice-seed-input");
+  if (!seedInput) return;
+
+  seedInput.value = filters.choiceSeed;
+  seedInput.addEventListener("change", () => {
+    const seed = parseInt(seedInput.value, 10);
+    filters.choiceSeed = Number.isFinite(seed) ? seed : DEFAULT_FILTERS.choiceSeed;
+    seedInput.value = filters.choiceSeed;
+    currentChoices = null;
+    displayCurrentQuestion();
+  });
+}
+
+function getCurrentChoices() {
+  const q = filteredQuestions[currentIndex];
+  if (!q) return null;
+
+  if (!currentChoices || currentChoices.id !== q.id || currentChoices.seed !== filters.choiceSeed) {
+    const built = buildChoices(q);
+    currentChoices = built ? { ...built, id: q.id, seed: filters.choiceSeed, chosen: null } : null;
+  }
+  return currentChoices;
+}
+
+function selectChoice(index) {
+  const q = filteredQuestions[currentIndex];
+  const choices = getCurrentChoices();
+  if (!q || !choices || choices.chosen !== null || !choices.options[index]) return;
+
+  choices.chosen = index;
+  const correct = index === choices.answerIndex;
+  answerFeedback = {
+    correct,
+    required: 1,
+    matched: correct ? [choices.options[index]] : [],
+    unmatched: [],
+    acceptable: parseAcceptableAnswers(getLocalizedAnswer(q)),
+    choice: choices.options[index]
+  };
+  logStudyEvent("check", q, { mode: "choice", correct });
+
+  if (showAnswerFlag) {
+    displayCurrentQuestion();
+  } else {
+    toggleAnswer(); // Reveal and mark as answered
+  }
+}
+
+// Option buttons, highlighted once a choice has been made
+function renderChoices() {
+  const container = document.getElementById("choice-answer");
+  if (!container) return;
+
+  const choices = filters.answerMode === "choice" ? getCurrentChoices() : null;
+  container.classList.toggle("hidden", !choices);
+  if (!choices) {
+    container.innerHTML = "";
+    return;
+  }
+
+  const answered = choices.chosen !== null;
+  container.innerHTML = choices.options.map((option, i) => {
+    let state = "";
+    if (answered && i === choices.answerIndex) state = "correct";
+    else if (answered && i === choices.chosen) state = "incorrect";
+
+    return `<button class="btn btn-outline choice-option ${state}" onclick="selectChoice(${i})" ${answered ? "disabled" : ""}>
+      <span class="shortcut-label">(${i + 1})</span> ${escapeHtml(option)}
+    </button>`;
+  }).join("");
+}
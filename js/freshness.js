@@ -0,0 +1,163 @@
+/**
+ * js/freshness.js
+ *
+ * Freshness tracking for time-sensitive answers (President, Speaker, senators...).
+ * Features:
+ * - Each time-sensitive card carries an "asOf" date and a "source" URL
+ * - Location answers use the date and sources of data/locations.json
+ * - Banner on cards last verified more than CONFIG.ANSWER_MAX_AGE_DAYS ago, or before the latest
+ *   known change of officeholders (CONFIG.ANSWER_CHANGE_DATES)
+ * - Report listing every time-sensitive answer of the set, oldest first
+ */
+
+/* ======================
+   FRESHNESS DATA
+   ====================== */
+
+// Keys of locationData.sources for each location question field
+const LOCATION_SOURCE_KEYS = {
+  senators: "senators",
+  representative: "representatives",
+  governor: "governors"
+};
+
+function isTimeSensitive(q) {
+  return q?.civicsTestUpdates === "Yes" || Boolean(q?.asOf);
+}
+
+/**
+ * When and where a time-sensitive answer was last verified.
+ * Returns { asOf, source } (asOf is "YYYY-MM-DD" or "" when unknown), or null for other cards.
+ */
+function getAnswerFreshness(q) {
+  if (!isTimeSensitive(q)) return null;
+
+  const field = getLocationField(q);
+  const sourceKey = LOCATION_SOURCE_KEYS[field];
+  if (sourceKey && findLocation(userLocation.state)) {
+    return {
+      asOf: locationData.asOf || "",
+      source: locationData.sources?.[sourceKey] || q.source || ""
+    };
+  }
+
+  return { asOf: String(q.asOf || "").trim(), source: String(q.source || "").trim() };
+}
+
+// Whole days since an "asOf" date, or null when the date is missing or invalid
+function answerAgeDays(asOf, now = Date.now()) {
+  const time = Date.parse(`${asOf}T00:00:00Z`);
+  if (!asOf || Number.isNaN(time)) return null;
+  return Math.max(0, Math.floor((now - time) / DAY_MS));
+}
+
+// Latest CONFIG.ANSWER_CHANGE_DATES entry after asOf that has already passed, or null
+function getChangeSince(asOf, now = Date.now()) {
+  const today = new Date(now).toISOString().slice(0, 10);
+  return (CONFIG.ANSWER_CHANGE_DATES || [])
+    .filter(change => change.date > String(asOf || "") && change.date <= today)
+    .sort((a, b) => b.date.localeCompare(a.date))[0] || null;
+}
+
+// Unknown dates count as stale: they have never been verified
+function isAnswerStale(freshness, now = Date.now()) {
+  if (!freshness) return false;
+  const age = answerAgeDays(freshness.asOf, now);
+  return age === null || age > CONFIG.ANSWER_MAX_AGE_DAYS || Boolean(getChangeSince(freshness.asOf, now));
+}
+
+function formatAsOfDate(asOf) {
+  const time = Date.parse(`${asOf}T00:00:00Z`);
+  if (!asOf || Number.isNaN(time)) return "Not recorded";
+  return new Date(time).toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+function sourceLink(source, label = "source") {
+  return source
+    ? `<a href="${escapeHtml(source)}" target="_blank" rel="noopener">${label}</a>`
+    : "";
+}
+
+/* ======================
+   CARD BANNER
+   ====================== */
+function updateFreshnessBanner(q) {
+  const banner = document.getElementById("freshness-banner");
+  if (!banner) return;
+
+  const freshness = getAnswerFreshness(q);
+  const stale = isAnswerStale(freshness);
+  banner.classList.toggle("hidden", !stale);
+  if (!stale) {
+    banner.innerHTML = "";
+    return;
+  }
+
+  const age = answerAgeDays(freshness.asOf);
+  const change = getChangeSince(freshness.asOf);
+  const verified = age === null
+    ? "This answer has no verification date"
+    : change
+      ? `This answer was last verified ${formatAsOfDate(freshness.asOf)}, before ${escapeHtml(change.label)} on ${formatAsOfDate(change.date)},`
+      : `This answer was last verified ${formatAsOfDate(freshness.asOf)} (${age} days ago)`;
+  const check = freshness.source ? ` and may have changed. Check the ${sourceLink(freshness.source, "official source")}.` : " and may have changed.";
+
+  banner.innerHTML = `<i class="fas fa-triangle-exclamation"></i> <span>${verified}${check}</span>`;
+}
+
+/* ======================
+   FRESHNESS REPORT
+   ====================== */
+let freshnessReportVisible = false;
+
+function toggleFreshnessReport() {
+  freshnessReportVisible = !freshnessReportVisible;
+  const content = document.getElementById("freshness-report");
+  const text = document.getElementById("freshness-text");
+  const chevron = document.getElementById("freshness-chevron");
+  if (!content || !text || !chevron) return;
+  content.classList.toggle("show", freshnessReportVisible);
+  text.textContent = freshnessReportVisible ? "Hide Answer Freshness" : "Show Answer Freshness";
+  chevron.className = freshnessReportVisible ? "fas fa-chevron-up" : "fas fa-chevron-down";
+  renderFreshnessReport();
+}
+
+// Every time-sensitive answer of the current set, never-verified and oldest first
+function getFreshnessEntries(now = Date.now()) {
+  return questions
+    .map(q => ({ q, freshness: getAnswerFreshness(q) }))
+    .filter(entry => entry.freshness)
+    .map(entry => ({ ...entry, age: answerAgeDays(entry.freshness.asOf, now), stale: isAnswerStale(entry.freshness, now) }))
+    .sort((a, b) => (b.age ?? Infinity) - (a.age ?? Infinity) || a.q.id - b.q.id);
+}
+
+function renderFreshnessReport() {
+  const content = document.getElementById("freshness-report");
+  if (!content || !freshnessReportVisible) return;
+
+  const entries = getFreshnessEntries();
+  if (!entries.length) {
+    content.innerHTML = '<div class="progress-stats">This question set has no time-sensitive answers.</div>';
+    return;
+  }
+
+  const staleCount = entries.filter(entry => entry.stale).length;
+  const lastChange = getChangeSince("");
+  content.innerHTML = `
+    <div class="progress-stats">
+      ${staleCount} of ${entries.length} time-sensitive answers need re-verification
+      (older than ${CONFIG.ANSWER_MAX_AGE_DAYS} days${lastChange ? ` or verified before ${escapeHtml(lastChange.label)} on ${formatAsOfDate(lastChange.date)}` : ""})
+    </div>
+    <ul class="freshness-list">
+      ${entries.map(({ q, freshness, age, stale }) => `
+        <li class="${stale ? "stale" : ""}">
+          <span class="freshness-question">${escapeHtml(stripMarkup(q.question))}</span>
+          <span class="freshness-meta">
+            ${stale ? '<i class="fas fa-triangle-exclamation"></i>' : '<i class="fas fa-circle-check"></i>'}
+            ${formatAsOfDate(freshness.asOf)}${age === null ? "" : ` (${age} days)`}
+            ${sourceLink(freshness.source)}
+          </span>
+        </li>`).join("")}
+    </ul>
+  `;
+}
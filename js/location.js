@@ -0,0 +1,174 @@
+/**
+ * js/location.js
+ *
+ * Location-aware answers for "Answers will vary" questions.
+ * Features:
+ * - Loads senators, governor and capital for every state, D.C. and the territories
+ *   (data/locations.json); Representatives are named where there is a single seat (at-large
+ *   states, D.C. and the territories); for other states the card points to house.gov
+ * - "My state" setting, saved in localStorage
+ * - Substitutes the right answer when cards are shown, checked and read aloud
+ * - D.C. and territory special cases follow the USCIS answer notes
+ */
+
+/* ======================
+   LOCATION DATA
+   ====================== */
+let locationData = null; // Contents of data/locations.json
+let userLocation = { state: "" };
+
+// Which questions depend on where the applicant lives
+const LOCATION_QUESTIONS = [
+  { field: "senators", pattern: /your state.s u\.?s\.? senators/i },
+  { field: "representative", pattern: /name your u\.?s\.? representative/i },
+  { field: "governor", pattern: /governor of your state/i },
+  { field: "capital", pattern: /capital of your state/i }
+];
+
+const FIND_REPRESENTATIVE_URL = "https://www.house.gov/representatives/find-your-representative";
+
+async function loadLocationData() {
+  if (!CONFIG.LOCATIONS_URL) return null;
+  try {
+    const response = await fetch(CONFIG.LOCATIONS_URL);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch locations: ${response.statusText}`);
+    }
+    return await response.json();
+  } catch (err) {
+    console.warn("Location data unavailable:", err);
+    return null;
+  }
+}
+
+function findLocation(code) {
+  return locationData?.locations.find(loc => loc.code === code) || null;
+}
+
+function getLocationField(q) {
+  const text = String(q?.question || "").replace(/<[^>]*>/g, "");
+  return LOCATION_QUESTIONS.find(entry => entry.pattern.test(text))?.field || null;
+}
+
+/* ======================
+   ANSWER SUBSTITUTION
+   ====================== */
+
+// Answer Markdown for the learner's location, or the question's own answer
+function getLocalizedAnswer(q) {
+  const field = getLocationField(q);
+  const loc = findLocation(userLocation.state);
+  if (!field || !loc) return q?.answer || "";
+
+  const lines = buildLocationAnswer(field, loc);
+  return `${lines.map(line => `- ${line}`).join("\n")}\n\n_${escapeHtml(loc.name)}, as of ${locationData.asOf}._`;
+}
+
+// Bullet items answering a location question for one state/territory
+function buildLocationAnswer(field, loc) {
+  const strong = name => `<strong>${escapeHtml(name)}</strong>`;
+  const isDC = loc.type === "district";
+
+  switch (field) {
+    case "senators":
+      return loc.senators.length
+        ? loc.senators.map(strong)
+        : [`${isDC ? "D.C." : escapeHtml(loc.name)} has no U.S. Senators.`];
+
+    case "representative": {
+      // Only single-seat areas are named; districts of larger states are not in data/locations.json
+      const name = loc.districts === 1 ? loc.representatives["1"] : null;
+      // D.C. and the territories send a non-voting Delegate or Resident Commissioner
+      if (name && loc.delegateTitle) {
+        return [
+          `${strong(name)} (${escapeHtml(loc.delegateTitle)})`,
+          `${escapeHtml(loc.name)} has no voting Representative in Congress.`
+        ];
+      }
+      if (name) return [strong(name)];
+      return [`Answers will vary. Find the Representative for your ${escapeHtml(loc.name)} district at [house.gov](${FIND_REPRESENTATIVE_URL}).`];
+    }
+
+    case "governor":
+      return loc.governor ? [strong(loc.governor)] : ["D.C. does not have a Governor."];
+
+    case "capital":
+      return loc.capital ? [strong(loc.capital)] : ["D.C. is not a state and does not have a capital."];
+
+    default:
+      return [];
+  }
+}
+
+/* ======================
+   SETTINGS UI
+   ====================== */
+function loadSavedLocation() {
+  userLocation = { state: "" };
+  try {
+    const saved = JSON.parse(localStorage.getItem("location") || "{}");
+    userLocation = { state: typeof saved?.state === "string" ? saved.state : "" };
+  } catch {}
+}
+
+async function initLocation() {
+  loadSavedLocation();
+
+  locationData = await loadLocationData();
+
+  const stateSelect = document.getElementById("location-state-select");
+  if (!stateSelect || !locationData) return;
+
+  locationData.locations.forEach(loc => {
+    const opt = document.createElement("option");
+    opt.value = loc.code;
+    opt.textContent = loc.name;
+    stateSelect.appendChild(opt);
+  });
+  stateSelect.value = findLocation(userLocation.state) ? userLocation.state : "";
+  renderLocationNote();
+
+  stateSelect.addEventListener("change", () => {
+    userLocation = { state: stateSelect.value };
+    renderLocationNote();
+    saveLocation();
+  });
+
+  displayCurrentQuestion();
+}
+
+// Pick up a location written outside the settings UI (e.g. a restored backup)
+function reloadLocation() {
+  loadSavedLocation();
+  const stateSelect = document.getElementById("location-state-select");
+  if (stateSelect && locationData) {
+    stateSelect.value = findLocation(userLocation.state) ? userLocation.state : "";
+    renderLocationNote();
+  }
+  displayCurrentQuestion();
+}
+
+// Say whether the Representative question can be answered by name for the chosen state
+function renderLocationNote() {
+  const note = document.getElementById("location-note");
+  if (!note) return;
+
+  const loc = findLocation(userLocation.state);
+  if (!loc) {
+    note.textContent = "";
+  } else if (loc.delegateTitle) {
+    note.textContent = `${loc.name} elects a non-voting ${loc.delegateTitle}, named on the card.`;
+  } else if (loc.districts === 1) {
+    note.textContent = `${loc.name} has one Representative, named on the card.`;
+  } else {
+    note.textContent = "Representatives are only named for single-seat states, D.C. and the territories. " +
+      `For your ${loc.name} district, the card links to house.gov.`;
+  }
+}
+
+function saveLocation() {
+  localStorage.setItem("location", JSON.stringify(userLocation));
+  answerFeedback = null;
+  currentChoices = null;
+  displayCurrentQuestion();
+}
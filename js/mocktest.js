@@ -0,0 +1,149 @@
+/**
+ * js/mocktest.js
+ *
+ * Mock interview mode following the USCIS civics test rules.
+ * Features:
+ * - Draws the official number of questions for the selected test version
+ *   (2008: 10 asked, 6 to pass; 2025: 20 asked, 12 to pass)
+ * - 65/20 special consideration: only asterisk questions, 10 asked, 6 to pass
+ * - Uses the current filtered pool from applyFilters()
+ * - Stops as soon as the result is certain and lists missed questions
+ */
+
+/* ======================
+   TEST RULES
+   ====================== */
+const MOCK_TEST_RULES = {
+  "2008": { standard: { asked: 10, pass: 6 }, special: { asked: 10, pass: 6 } },
+  "2025": { standard: { asked: 20, pass: 12 }, special: { asked: 10, pass: 6 } }
+};
+
+function getMockTestRules(version, special) {
+  const rules = MOCK_TEST_RULES[version] || MOCK_TEST_RULES["2008"];
+  return special ? rules.special : rules.standard;
+}
+
+// "pass" or "fail" once the outcome can no longer change, otherwise null
+function evaluateMockTest(correct, incorrect, rules) {
+  if (correct >= rules.pass) return "pass";
+  if (incorrect > rules.asked - rules.pass) return "fail";
+  return null;
+}
+
+/* ======================
+   TEST STATE
+   ====================== */
+let mockTest = null; // { rules, special, drawn, index, answers: [{ q, correct }], revealed, result }
+
+function startMockTest() {
+  const specialInput = document.getElementById("mock-test-6520");
+  const special = Boolean(specialInput && specialInput.checked);
+  const rules = { ...getMockTestRules(getTestVersion(), special) };
+
+  const pool = special
+    ? filteredQuestions.filter(q => q.questionWithAsterisk === "Yes")
+    : filteredQuestions;
+
+  if (!pool.length) {
+    showToast("No questions match the current filters", "error");
+    return;
+  }
+
+  if (pool.length < rules.asked) {
+    showToast(`Only ${pool.length} questions match the current filters`, "warning");
+    rules.asked = pool.length;
+    rules.pass = Math.min(rules.pass, pool.length);
+  }
+
+  mockTest = {
+    rules,
+    special,
+    drawn: shuffleArray(pool).slice(0, rules.asked),
+    index: 0,
+    answers: [],
+    revealed: false,
+    result: null
+  };
+
+  renderMockTest();
+}
+
+function revealMockAnswer() {
+  if (!mockTest || mockTest.result) return;
+  mockTest.revealed = true;
+  renderMockTest();
+}
+
+function gradeMockAnswer(correct) {
+  if (!mockTest || mockTest.result || !mockTest.revealed) return;
+
+  mockTest.answers.push({ q: mockTest.drawn[mockTest.index], correct });
+  logStudyEvent("mock", mockTest.drawn[mockTest.index], { correct });
+
+  const correctCount = mockTest.answers.filter(a => a.correct).length;
+  const incorrectCount = mockTest.answers.length - correctCount;
+  mockTest.result = evaluateMockTest(correctCount, incorrectCount, mockTest.rules);
+
+  mockTest.index++;
+  mockTest.revealed = false;
+  renderMockTest();
+}
+
+function closeMockTest() {
+  mockTest = null;
+  renderMockTest();
+}
+
+/* ======================
+   RENDERING
+   ====================== */
+function renderMockTest() {
+  const setup = document.getElementById("mock-test-setup");
+  const panel = document.getElementById("mock-test");
+  const summary = document.getElementById("mock-test-summary");
+  if (!setup || !panel || !summary) return;
+
+  setup.classList.toggle("hidden", Boolean(mockTest));
+  panel.classList.toggle("hidden", !mockTest || Boolean(mockTest.result));
+  summary.classList.toggle("hidden", !mockTest || !mockTest.result);
+
+  if (!mockTest) return;
+  if (mockTest.result) {
+    renderMockTestSummary(summary);
+    return;
+  }
+
+  const q = mockTest.drawn[mockTest.index];
+  const correctCount = mockTest.answers.filter(a => a.correct).length;
+
+  document.getElementById("mock-test-status").textContent =
+    `Question ${mockTest.index + 1} of ${mockTest.rules.asked} | Correct: ${correctCount} | Need: ${mockTest.rules.pass}`;
+  document.getElementById("mock-test-question").innerHTML = parseFormattedContent(q.question);
+  document.getElementById("mock-test-answer-text").innerHTML = mockTest.revealed ? parseFormattedContent(getLocalizedAnswer(q)) : "";
+  document.getElementById("mock-test-answer").classList.toggle("show", mockTest.revealed);
+  document.getElementById("mock-test-reveal").classList.toggle("hidden", mockTest.revealed);
+  document.getElementById("mock-test-grade").classList.toggle("hidden", !mockTest.revealed);
+}
+
+function renderMockTestSummary(summary) {
+  const passed = mockTest.result === "pass";
+  const correctCount = mockTest.answers.filter(a => a.correct).length;
+  const missed = mockTest.answers.filter(a => !a.correct);
+
+  summary.innerHTML = `
+    <div class="mock-test-result ${passed ? "pass" : "fail"}">
+      <i class="fas ${passed ? "fa-circle-check" : "fa-circle-xmark"}"></i>
+      ${passed ? "Passed" : "Not passed"}: ${correctCount} of ${mockTest.answers.length} correct
+      (${mockTest.rules.pass} of ${mockTest.rules.asked} needed${mockTest.special ? ", 65/20" : ""})
+    </div>
+    ${missed.length ? `
+      <div class="answer-label">Missed questions</div>
+      <ul class="mock-test-missed">
+        ${missed.map(a => `<li>${parseFormattedContent(a.q.question)}${parseFormattedContent(getLocalizedAnswer(a.q))}</li>`).join("")}
+      </ul>` : ""}
+    <div class="btn-group-flex">
+      <button class="btn btn-primary" onclick="startMockTest()"><i class="fas fa-redo"></i> Retake</button>
+      <button class="btn btn-outline" onclick="closeMockTest()">Close</button>
+    </div>
+  `;
+}
@@ -0,0 +1,63 @@
+/**
+ * js/pwa.js
+ *
+ * Offline support and installation.
+ * Features:
+ * - Registers the service worker (sw.js) that keeps the app and question sets offline
+ * - Shows an update prompt when a new version (app or data) has been downloaded
+ * - Reloads once the new version has taken over
+ */
+
+/* ======================
+   SERVICE WORKER
+   ====================== */
+function initServiceWorker() {
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+
+  navigator.serviceWorker.register("sw.js")
+    .then(registration => {
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+      }
+
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          // Only an update when a previous version already controls the page
+          if (worker.state === "installed" && navigator.serviceWorker.controller) {
+            showUpdatePrompt(worker);
+          }
+        });
+      });
+    })
+    .catch(err => console.warn("Service worker registration failed:", err));
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (reloading) return;
+    reloading = true;
+    location.reload();
+  });
+}
+
+/* ======================
+   UPDATE PROMPT
+   ====================== */
+function showUpdatePrompt(worker) {
+  const banner = document.getElementById("update-banner");
+  const button = document.getElementById("update-reload-btn");
+  if (!banner || !button) return;
+
+  banner.classList.remove("hidden");
+  button.onclick = () => {
+    saveProgress();
+    button.disabled = true;
+    worker.postMessage({ type: "SKIP_WAITING" });
+  };
+}
+
+function dismissUpdatePrompt() {
+  const banner = document.getElementById("update-banner");
+  if (banner) banner.classList.add("hidden");
+}
@@ -0,0 +1,190 @@
+/**
+ * js/schema.js
+ *
+ * Schema for question objects and a validator that runs on every load.
+ * Features:
+ * - Required fields, Yes/No flags, unique ids, optional "as of" date, source URL and translations
+ * - Flags are normalized to "Yes"/"No" whatever the loader produced (TRUE, 1, y, x, booleans, blank)
+ * - The "N." number at the start of a question must match its id (and be present in numbered sets)
+ * - Errors drop the row (it cannot be shown); warnings keep it
+ * - Row-level report in the console and under the set selector
+ */
+
+/* ======================
+   SCHEMA
+   ====================== */
+const QUESTION_SCHEMA = {
+  id: { required: true, type: "id" },
+  category: { required: true, type: "text" },
+  subCategory: { required: true, type: "text" },
+  question: { required: true, type: "text" },
+  answer: { required: true, type: "text" },
+  questionWithAsterisk: { type: "yesNo" },
+  civicsTestUpdates: { type: "yesNo" },
+  bookmark: { type: "yesNo" },
+  asked: { type: "yesNo" },
+  asOf: { type: "date" },
+  source: { type: "url" },
+  translations: { type: "translations" } // { es: { question, answer } }
+};
+
+// Without these a card cannot be shown at all
+const QUESTION_REQUIRED_TO_SHOW = ["question", "answer"];
+
+const isBlank = value => value === undefined || value === null || String(value).trim() === "";
+
+// Problem with one value, or null when it fits the field type
+function checkFieldValue(type, value) {
+  switch (type) {
+    case "id":
+      return Number.isInteger(value) && value > 0 ? null : `must be a positive whole number, got "${value}"`;
+    case "text":
+      return typeof value === "string" ? null : `must be text, got ${typeof value}`;
+    case "yesNo":
+      return value === "Yes" || value === "No"
+        ? null
+        : `must be "Yes" or "No", got "${value}"`;
+    case "date":
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+        ? null
+        : `must be a date like 2025-03-01, got "${value}"`;
+    case "url":
+      return /^https?:\/\/\S+$/.test(value) ? null : `must be a web address, got "${value}"`;
+    case "translations": {
+      if (typeof value !== "object" || Array.isArray(value)) return "must map language codes to { question, answer }";
+      const bad = Object.keys(value).filter(lang => {
+        const entry = value[lang];
+        return !entry || typeof entry !== "object" ||
+          ["question", "answer"].some(field => entry[field] !== undefined && typeof entry[field] !== "string");
+      });
+      return bad.length ? `has invalid entries for ${bad.join(", ")}` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/* ======================
+   YES/NO FLAGS
+   ====================== */
+const YES_VALUES = ["yes", "y", "true", "1", "x"];
+const NO_VALUES = ["no", "n", "false", "0", ""];
+
+// "Yes" or "No"; unrecognized values are returned as they are, for the validator to report
+function normalizeYesNo(value) {
+  if (value === undefined || value === null) return "No";
+  const text = String(value).trim().toLowerCase();
+  if (YES_VALUES.includes(text)) return "Yes";
+  if (NO_VALUES.includes(text)) return "No";
+  return value;
+}
+
+// Copy of q with every Yes/No field of QUESTION_SCHEMA in canonical form
+function normalizeQuestionFlags(q) {
+  if (!q || typeof q !== "object") return q;
+
+  const normalized = { ...q };
+  Object.entries(QUESTION_SCHEMA).forEach(([field, rule]) => {
+    if (rule.type === "yesNo") normalized[field] = normalizeYesNo(q[field]);
+  });
+  return normalized;
+}
+
+/* ======================
+   VALIDATION
+   ====================== */
+
+/**
+ * Validate a loaded question set.
+ * firstRow: number shown for the first item (2 for sheets, whose row 1 is the header).
+ * Returns { valid: [question], skipped: count, issues: [{ row, id, field, severity: "error" | "warning", message }] }
+ */
+function validateQuestionSet(list, firstRow = 1) {
+  const items = Array.isArray(list) ? list : [];
+  const issues = [];
+  const valid = [];
+  const seenIds = new Map(); // id -> row
+
+  // In a numbered set, an unnumbered question usually means shifted columns
+  const numberOf = q => String(q?.question || "").match(/^\s*(\d+)\./);
+  const numbered = items.filter(numberOf).length > items.filter(q => !isBlank(q?.question)).length / 2;
+
+  items.forEach((q, index) => {
+    const row = index + firstRow;
+    const report = (field, severity, message) => issues.push({ row, id: q?.id, field, severity, message });
+
+    if (!q || typeof q !== "object") {
+      report("", "error", "is not a question object");
+      return;
+    }
+
+    Object.entries(QUESTION_SCHEMA).forEach(([field, rule]) => {
+      const value = q[field];
+      if (isBlank(value)) {
+        if (rule.required) {
+          report(field, QUESTION_REQUIRED_TO_SHOW.includes(field) ? "error" : "warning", "is missing");
+        }
+        return;
+      }
+      const problem = checkFieldValue(rule.type, value);
+      if (problem) report(field, "warning", problem);
+    });
+
+    // Bookmarks, progress and the version map find questions by id: a repeated id is skipped
+    const duplicate = Number.isInteger(q.id) && seenIds.has(q.id);
+    if (duplicate) report("id", "error", `duplicates the id of row ${seenIds.get(q.id)}; this row is skipped`);
+
+    const number = numberOf(q);
+    if (number && Number(number[1]) !== q.id) {
+      report("question", "warning", `is numbered ${number[1]} but its id is ${q.id}`);
+    } else if (!number && numbered && !isBlank(q.question)) {
+      report("question", "warning", 'has no "N." number (are the columns shifted?)');
+    }
+
+    if (duplicate || QUESTION_REQUIRED_TO_SHOW.some(field => isBlank(q[field]))) return;
+    if (Number.isInteger(q.id)) seenIds.set(q.id, row);
+    valid.push(q);
+  });
+
+  return { valid, skipped: items.length - valid.length, issues };
+}
+
+function formatValidationIssue(issue) {
+  const where = `Row ${issue.row}${issue.id !== undefined && issue.id !== "" ? ` (id ${issue.id})` : ""}`;
+  return `${where}: ${issue.field ? `${issue.field} ` : ""}${issue.message}`;
+}
+
+/* ======================
+   REPORTING
+   ====================== */
+function reportValidationIssues(setName, { issues, skipped }) {
+  if (issues.length) {
+    console.groupCollapsed(`"${setName}": ${issues.length} data ${issues.length === 1 ? "problem" : "problems"}`);
+    issues.forEach(issue => (issue.severity === "error" ? console.error : console.warn)(formatValidationIssue(issue)));
+    console.groupEnd();
+  }
+  renderValidationReport(setName, issues, skipped);
+}
+
+function renderValidationReport(setName, issues, skipped = 0) {
+  const container = document.getElementById("validation-report");
+  if (!container) return;
+
+  container.classList.toggle("hidden", !issues.length);
+  if (!issues.length) {
+    container.innerHTML = "";
+    return;
+  }
+
+  container.innerHTML = `
+    <details>
+      <summary>
+        <i class="fas fa-triangle-exclamation"></i>
+        "${escapeHtml(String(setName || "This set"))}" has ${issues.length} data ${issues.length === 1 ? "problem" : "problems"}${skipped ? ` (${skipped} ${skipped === 1 ? "row" : "rows"} skipped)` : ""}
+      </summary>
+      <ul class="stats-list">
+        ${issues.map(issue => `<li class="${issue.severity}">${escapeHtml(formatValidationIssue(issue))}</li>`).join("")}
+      </ul>
+    </details>
+  `;
+}
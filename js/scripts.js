@@ -2,11 +2,23 @@
  * js/scripts.js
  * Flashcards Web App - Production Ready & Optimized
  * Features:
- * - Google Sheets integration with fallback to local JSON or mock data
- * - Filters, shuffle, bookmarks, progress tracking
+ * - Pluggable question sources (Google Sheets, CSV, local JSON, mock) with fallback
+ * - Filters, shuffle, bookmarks, progress tracking (bookmarks & progress saved per question set)
  * - Next/Previous skips answered questions when shuffle is on
+ * - Spaced-repetition mode driven by self-graded ratings (see srs.js)
+ * - Typed and spoken answers checked against the acceptable answers (see answers.js)
+ * - Multiple-choice quizzes with seeded distractors (see choices.js)
+ * - State-specific answers for senators, representative, governor, capital (see location.js)
+ * - "As of" dates and sources for time-sensitive answers, with stale-answer banners (see freshness.js)
+ * - 2008/2025 question mapping, filing-date version check and what changed (see versions.js)
+ * - Study statistics and readiness estimate from a local event log (see stats.js)
+ * - Full backup and restore of all study data with merge or replace (see backup.js)
+ * - Bookmark import from JSON, CSV or id lists, mapped across sets by content (see bookmarkimport.js)
+ * - Works offline as an installable app (see pwa.js and sw.js)
  * - Markdown + HTML rendering (safe via DOMPurify)
- * - TTS with multilingual support & long text handling
+ * - Optional translations shown under the English card (see translations.js)
+ * - TTS with a voice per language, rate/pitch/volume settings & long text handling (see tts.js)
+ * - Hands-free audio mode with headphone and lock-screen controls (see audiomode.js)
  * - Toasts support multiple simultaneous messages
  * - Theme toggle, keyboard shortcuts
  */
@@ -23,18 +35,23 @@ let showAnswerFlag = false;          // Whether answer is currently shown
 let answeredQuestions = new Set();   // IDs of answered questions
 let bookmarkedQuestions = new Set(); // IDs of bookmarked questions
 let filtersVisible = false;          // Toggle filters panel
-let ttsVoice = null;                 // Selected TTS voice
 let isSpeaking = false;              // TTS active flag
+let progressSetKey = null;           // Set whose progress is being saved (null while loading)
 
-const filters = {
+const DEFAULT_FILTERS = {
   category: "All",
   subCategory: "All",
   bookmarked: "All",
   questionWithAsterisk: "All",
   civicsTestUpdates: "All",
-  shuffleUnasked: false
+  shuffleUnasked: false,
+  spacedRepetition: false,
+  answerMode: "reveal",              // "reveal", "typed", "spoken" or "choice" (see answers.js)
+  choiceSeed: 1                      // Seed for reproducible multiple-choice quizzes
 };
 
+const filters = { ...DEFAULT_FILTERS };
+
 /* ======================
    INITIALIZATION
    ====================== */
@@ -43,9 +60,18 @@ document.addEventListener("DOMContentLoaded", async () => {
   await initSheetsAndData();
   initFilters();
   initShuffleButton();
+  initSpacedRepetition();
+  initAnswerModes();
+  initMultipleChoice();
+  initLocation();                // Loads in the background, then re-renders the card
+  initStudyLanguage();
+  initVersions();
   initKeyboardShortcuts();       // ✅ Desktop shortcut support
   initTTSVoices();
+  initAudioMode();
   initBookmarkImportExport();
+  initBackup();
+  initServiceWorker();           // Offline cache and update prompt (see pwa.js)
   loadBookmarksFromStorage(); // Load bookmarks from localStorage
 
   bindShowAnswerButton(); // Bind Show Answer button once
@@ -79,31 +105,13 @@ async function initSheetsAndData() {
   showLoading(true);
   try {
     await initSheetsDropdown();
-    questions = await loadQuestionsFromSelectedSheet();
-
-    // Fallback to local JSON
-    if(!questions || questions.length === 0){
-      try{
-        const resp = await fetch("data/questions.json");
-        if(resp.ok) questions = await resp.json();
-      } catch{}
-    }
-
-    // Fallback to mock questions
-    if(!questions || questions.length === 0){
-      questions = [...MOCK_QUESTIONS];
-    }
+    questions = await loadQuestionsFromSelectedSheet(); // Falls back by CONFIG.SOURCE_PRIORITY
 
-    bookmarkedQuestions.clear();       // Clear bookmarks
-    saveBookmarks();                   // Reset localStorage
-    initializeBookmarks();             // Re-initialize for the new question set
-    applyFilters();
-    resetFilters(); // Ensure filters resets
-    resetBookmarks(); // Ensure bookmarks reset
-    resetProgress(); // Ensure progress resets
+    initializeBookmarks();             // Load bookmarks saved for this question set
+    restoreProgress(); // Resume where the learner left off
   } catch(err){
     console.error("Error initializing sheets or data:", err);
-    questions = [...MOCK_QUESTIONS];
+    questions = MOCK_QUESTIONS.map(normalizeQuestionFlags);
     showError(true);
   } finally {
     showLoading(false);
@@ -113,15 +121,12 @@ async function initSheetsAndData() {
   const sheetSelector = document.getElementById("sheet-selector");
   if(sheetSelector){
     sheetSelector.addEventListener("change", async (e)=>{
-      CONFIG.SHEET_NAME = e.target.value;
-      questions = await loadQuestionsFromSelectedSheet() || [...MOCK_QUESTIONS];
+      progressSetKey = null; // Stop saving into the previous set
+      selectQuestionSet(e.target.selectedOptions[0]);
+      questions = await loadQuestionsFromSelectedSheet();
       initializeBookmarks();
-      resetFilters(); // Ensure filters resets
-      resetBookmarks(); // Ensure bookmarks reset
-      resetProgress(); // Ensure progress resets
-      populateCategoryFilter();
-      applyFilters();
-      showToast(`Loaded "${CONFIG.SHEET_NAME}"`, "info");
+      restoreProgress();
+      showToast(`Loaded "${getCurrentSetName()}"`, "info");
     });
   }
 }
@@ -131,8 +136,7 @@ async function initSheetsAndData() {
    ====================== */
 function initializeBookmarks() {
   bookmarkedQuestions.clear();
-  questions.forEach(q => { if(q.bookmark) bookmarkedQuestions.add(q.id); });
-  loadBookmarksFromStorage(); 
+  loadBookmarksFromStorage();
   updateBookmarkIcon();
 }
 
@@ -154,21 +158,78 @@ function toggleBookmark() {
   validateCurrentQuestion();
 }
 
+function bookmarkStorageKey() {
+  return `bookmarks:${getCurrentSetKey()}`;
+}
+
+// Stored as [{ id, hash }] so bookmarks follow a question even if sheet rows move
 function saveBookmarks() {
-  localStorage.setItem("bookmarks", JSON.stringify([...bookmarkedQuestions]));
+  const items = questions
+    .filter(q => bookmarkedQuestions.has(q.id))
+    .map(q => ({ id: q.id, hash: questionHash(q) }));
+  try{
+    localStorage.setItem(bookmarkStorageKey(), JSON.stringify(items));
+  }catch(err){
+    console.warn("Could not save bookmarks:", err);
+    showToast("Bookmarks could not be saved: browser storage is full","error");
+  }
 }
 
 function loadBookmarksFromStorage() {
-  const stored = localStorage.getItem("bookmarks");
+  migrateLegacyBookmarks();
+
+  const stored = localStorage.getItem(bookmarkStorageKey());
   if(stored){
     try{
       const parsed = JSON.parse(stored);
-      if(Array.isArray(parsed)) parsed.forEach(id => bookmarkedQuestions.add(id));
+      if(Array.isArray(parsed)){
+        const byHash = new Map(questions.map(q => [questionHash(q), q]));
+        parsed.forEach(item => {
+          if(!item || typeof item !== "object") return; // One bad entry shouldn't cost the rest
+          // Match by content hash first, then by id
+          const q = byHash.get(item.hash) || questions.find(q => q.id === item.id);
+          if(q) bookmarkedQuestions.add(q.id);
+        });
+      }
     }catch{}
+  } else if(CONFIG.SEED_STUDY_STATE_FROM_SOURCE){
+    // Nothing saved for this set yet: start from the questions the source marks
+    questions.forEach(q => { if(q.bookmark === "Yes") bookmarkedQuestions.add(q.id); });
   }
   updateBookmarkIcon();
 }
 
+// Older versions kept one global list of ids under "bookmarks";
+// merge it into the first set loaded, then drop the old key once that is saved
+function migrateLegacyBookmarks() {
+  const legacy = localStorage.getItem("bookmarks");
+  if(legacy === null) return;
+
+  let ids;
+  try{
+    ids = JSON.parse(legacy);
+  }catch{}
+  if(!Array.isArray(ids)){
+    localStorage.removeItem("bookmarks"); // Unreadable: nothing to keep
+    return;
+  }
+
+  let current = [];
+  try{
+    const parsed = JSON.parse(localStorage.getItem(bookmarkStorageKey()));
+    if(Array.isArray(parsed)) current = parsed.filter(item => item && typeof item === "object");
+  }catch{}
+
+  const known = new Set(current.map(item => item.id));
+  const merged = [...current, ...ids.filter(id => !known.has(id)).map(id => ({ id }))];
+  try{
+    localStorage.setItem(bookmarkStorageKey(), JSON.stringify(merged));
+    localStorage.removeItem("bookmarks");
+  }catch(err){
+    console.warn("Could not migrate old bookmarks:", err);
+  }
+}
+
 function updateBookmarkIcon() {
   const bookmarkBtn = document.querySelector(".bookmark-btn");  // Reference to the button itself
   const icon = document.querySelector(".bookmark-btn i");  // Reference to the icon inside the button
@@ -212,16 +273,21 @@ function updateResetBookmarkButton() {
 }
 
 function exportBookmarks() {
-  const setName = (CONFIG.SHEET_NAME || "unknown")
+  const setName = (getCurrentSetName() || "unknown")
     .toLowerCase()
     .replace(/[^a-z0-9\-]+/gi, "-");
 
   const date = new Date().toISOString().split("T")[0]; // YYYY-MM-DD
   const filename = `bookmarks-${setName}-${date}.json`;
 
+  // Ids for older versions of the app; hash and wording let other sets map the bookmarks
   const data = {
-    set: CONFIG.SHEET_NAME || "unknown",
-    bookmarks: [...bookmarkedQuestions]
+    set: getCurrentSetName() || "unknown",
+    setKey: getCurrentSetKey(),
+    bookmarks: [...bookmarkedQuestions],
+    items: questions
+      .filter(q => bookmarkedQuestions.has(q.id))
+      .map(q => ({ id: q.id, hash: questionHash(q), question: q.question }))
   };
 
   const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
@@ -235,46 +301,6 @@ function exportBookmarks() {
   showToast("Bookmarks exported!", "info");
 }
 
-function handleBookmarkImport(event) {
-  const file = event.target.files[0];
-  if (!file) return;
-
-  const reader = new FileReader();
-  reader.onload = e => {
-    try {
-      const imported = JSON.parse(e.target.result);
-
-      if (
-        imported &&
-        typeof imported === "object" &&
-        Array.isArray(imported.bookmarks)
-      ) {
-        const currentSet = CONFIG.SHEET_NAME || "unknown";
-        const importedSet = imported.set || "unknown";
-
-        if (importedSet !== currentSet) {
-          showToast(
-            `Set mismatch: Imported "${importedSet}", expected "${currentSet}"`,
-            "error"
-          );
-          return;
-        }
-
-        imported.bookmarks.forEach(id => bookmarkedQuestions.add(id));
-        saveBookmarks();
-        applyFilters();
-        showToast("Bookmarks imported!", "success");
-      } else {
-        showToast("Invalid bookmark file format", "error");
-      }
-    } catch {
-      showToast("Failed to import bookmarks", "error");
-    }
-  };
-
-  reader.readAsText(file);
-}
-
 /* ======================
    FILTERS
    ====================== */
@@ -297,6 +323,7 @@ function populateCategoryFilter() {
     opt.textContent = c;
     catSelect.appendChild(opt);
   });
+  selectFilterValue(catSelect, "category");
   updateSubCategories();
 }
 
@@ -312,6 +339,29 @@ function updateSubCategories(){
     opt.textContent = sc;
     subSelect.appendChild(opt);
   });
+  selectFilterValue(subSelect, "subCategory");
+}
+
+// Show the current filter value in its <select>, falling back to "All" if it no longer exists
+function selectFilterValue(select, key){
+  select.value = filters[key];
+  if(select.value !== filters[key]){
+    filters[key] = "All";
+    select.value = "All";
+  }
+}
+
+// Bring every filter control in line with the filters object
+function syncFilterControls(){
+  populateCategoryFilter();
+  populateStudyLanguages();
+  [["bookmark-filter","bookmarked"],["asterisk-filter","questionWithAsterisk"],["civics-filter","civicsTestUpdates"]].forEach(([id,key])=>{
+    const el = document.getElementById(id);
+    if(el) selectFilterValue(el, key);
+  });
+  updateShuffleButton();
+  updateSpacedRepetitionButton();
+  updateAnswerModeControls();
 }
 
 function handleFilterChange(event){
@@ -354,15 +404,22 @@ function toggleFilters(){
 function initShuffleButton(){
   const btn = document.getElementById("shuffle-unasked-btn");
   if(!btn) return;
+  updateShuffleButton();
   btn.addEventListener("click", ()=>{
     filters.shuffleUnasked = !filters.shuffleUnasked;
-    btn.textContent = filters.shuffleUnasked ? "Shuffle Unasked Questions On" : "Shuffle Unasked Questions Off";
-    btn.classList.toggle("active", filters.shuffleUnasked);
+    updateShuffleButton();
     applyFilters();
     showToast(filters.shuffleUnasked ? "Shuffle enabled!" : "Shuffle disabled","info");
   });
 }
 
+function updateShuffleButton(){
+  const btn = document.getElementById("shuffle-unasked-btn");
+  if(!btn) return;
+  btn.textContent = filters.shuffleUnasked ? "Shuffle Unasked Questions On" : "Shuffle Unasked Questions Off";
+  btn.classList.toggle("active", filters.shuffleUnasked);
+}
+
 /* ======================
    DISPLAY QUESTIONS (HTML + Markdown Safe)
    ====================== */
@@ -405,6 +462,12 @@ function displayCurrentQuestion() {
     answerText.textContent = "";
     answerSection.style.display = "none";
     updateProgress();
+    updateRatingPanel();
+    updateAnswerModeUI();
+    updateFreshnessBanner(null);
+    renderFreshnessReport();
+    renderTranslations(null);
+    syncAudioModeCard();
     return;
   }
 
@@ -412,7 +475,7 @@ function displayCurrentQuestion() {
 
   // --- Render question and answer using Markdown + HTML ---
   questionText.innerHTML = parseFormattedContent(q.question);
-  answerText.innerHTML = showAnswerFlag ? parseFormattedContent(q.answer) : "";
+  answerText.innerHTML = showAnswerFlag ? parseFormattedContent(getLocalizedAnswer(q)) : "";
 
   // Show/hide answer section
   answerSection.style.display = showAnswerFlag ? "block" : "none";
@@ -423,12 +486,18 @@ function displayCurrentQuestion() {
     badges.innerHTML = `
       <span class="badge badge-category">${escapeHtml(q.category || "")}</span>
       <span class="badge badge-subcategory">${escapeHtml(q.subCategory || "")}</span>
-      ${String(q.questionWithAsterisk || "").includes("*") ? '<span class="badge badge-asterisk">*</span>' : ""}
+      ${q.questionWithAsterisk === "Yes" ? '<span class="badge badge-asterisk">*</span>' : ""}
     `;
   }
 
   updateBookmarkIcon();
   updateProgress();
+  updateRatingPanel();
+  updateAnswerModeUI();
+  updateFreshnessBanner(q);
+  renderFreshnessReport();
+  renderTranslations(q);
+  syncAudioModeCard();
 }
 
 /* ======================
@@ -453,6 +522,7 @@ function toggleAnswer() {
   // Mark the question as answered if showing the answer
   if (showAnswerFlag) {
     markAnswered(filteredQuestions[currentIndex]);
+    logStudyEvent("reveal", filteredQuestions[currentIndex]);
   }
 }
 
@@ -478,7 +548,9 @@ function nextQuestion() {
   // Normal forward navigation
   historyBack.push(currentIndex); // push current before moving forward
 
-  if (filters.shuffleUnasked) {
+  if (filters.spacedRepetition) {
+    currentIndex = nextDueIndex();
+  } else if (filters.shuffleUnasked) {
     const unasked = filteredQuestions.filter(q => !answeredQuestions.has(q.id));
     if (unasked.length === 0) {
       currentIndex = (currentIndex + 1) % filteredQuestions.length;
@@ -531,6 +603,8 @@ function updateProgress() {
   const text = document.getElementById("progress-text");
   const stats = document.getElementById("progress-stats");
 
+  saveProgress();
+
   if (!fill || !text || !stats) return;
 
   const total = filteredQuestions.length;
@@ -544,6 +618,76 @@ function updateProgress() {
   stats.textContent = `Total: ${total} | Answered: ${answered} | Remaining: ${total - answered}`;
 }
 
+/* ======================
+   PROGRESS PERSISTENCE
+   ====================== */
+function progressStorageKey(setKey){
+  return `progress:${setKey}`;
+}
+
+// Save answered state, position, shuffle order and filters for the current set
+function saveProgress(){
+  if(!progressSetKey) return;
+
+  const current = filteredQuestions[currentIndex];
+  const data = {
+    answered: [...answeredQuestions],
+    currentId: current ? current.id : null,
+    order: filters.shuffleUnasked ? filteredQuestions.map(q => q.id) : null,
+    filters: { ...filters },
+    savedAt: new Date().toISOString()
+  };
+
+  try{
+    localStorage.setItem(progressStorageKey(progressSetKey), JSON.stringify(data));
+  }catch(err){
+    console.warn("Could not save progress:", err);
+  }
+}
+
+function loadSavedProgress(setKey){
+  try{
+    const parsed = JSON.parse(localStorage.getItem(progressStorageKey(setKey)));
+    return parsed && typeof parsed === "object" ? parsed : null;
+  }catch{
+    return null;
+  }
+}
+
+// Restore the saved session of the selected set (or a clean one) after questions load
+function restoreProgress(){
+  const setKey = getCurrentSetKey();
+  const saved = loadSavedProgress(setKey) || {};
+  const ids = new Set(questions.map(q => q.id));
+  // A set studied for the first time starts with the questions its source marks as asked
+  const seeded = CONFIG.SEED_STUDY_STATE_FROM_SOURCE ? questions.filter(q => q.asked === "Yes").map(q => q.id) : [];
+
+  progressSetKey = null; // Don't save half-restored state
+  answeredQuestions.clear();
+  (saved.answered || seeded).forEach(id => { if(ids.has(id)) answeredQuestions.add(id); });
+  Object.assign(filters, DEFAULT_FILTERS, saved.filters || {});
+  syncFilterControls();
+
+  applyFilters();
+  if(filters.shuffleUnasked && Array.isArray(saved.order)){
+    filteredQuestions = orderByIds(filteredQuestions, saved.order);
+  }
+  const savedIndex = filteredQuestions.findIndex(q => q.id === saved.currentId);
+  currentIndex = savedIndex >= 0 ? savedIndex : 0;
+
+  progressSetKey = setKey;
+  displayCurrentQuestion();
+  renderStudyStats();
+  initHistory();
+}
+
+// Sort list to follow ids; questions missing from ids keep their order at the end
+function orderByIds(list, ids){
+  const rank = new Map(ids.map((id, i) => [id, i]));
+  const pos = q => rank.has(q.id) ? rank.get(q.id) : ids.length;
+  return list.slice().sort((a, b) => pos(a) - pos(b));
+}
+
 function shuffleUnasked(list){
   const unasked=list.filter(q=>!answeredQuestions.has(q.id));
   const asked=list.filter(q=>answeredQuestions.has(q.id));
@@ -584,6 +728,7 @@ function initHistory() {
   historyForward = [];
 }
 
+// Also clears the saved session of the current set (saveProgress() runs on display)
 function resetProgress(){
   answeredQuestions.clear();
   currentIndex=0;
@@ -596,111 +741,6 @@ function resetProgress(){
   showToast("Progress reset!","info");
 }
 
-/* ======================
-   TTS (Multilingual + Long Text Support)
-   ====================== */
-
-// Clean HTML and formatting from TTS text
-function sanitizeTextForSpeech(text) {
-  if (!text) return "";
-
-  // Remove HTML tags (supports nested tags)
-  const strippedText = text.replace(/<[^>]*>/g, "");
-
-  // Remove leading numbered list (e.g., "1. ", "42. ")
-  const cleanedText = strippedText.replace(/^\d+\.\s*/, "");
-
-  return cleanedText.trim();
-}
-
-// Initialize available TTS voices and populate the dropdown
-function initTTSVoices() {
-  const select = document.getElementById("tts-voice-select");
-  if (!select) return;
-
-  function populateVoices() {
-    const voices = speechSynthesis.getVoices();
-    if (!voices.length) return;
-
-    select.innerHTML = "";
-
-    voices.forEach(voice => {
-      const opt = document.createElement("option");
-      opt.value = voice.name;
-      opt.textContent = `${voice.name} (${voice.lang})`;
-      select.appendChild(opt);
-    });
-
-    // Set default voice
-    ttsVoice = voices[0];
-
-    // Update selected voice
-    select.addEventListener("change", () => {
-      ttsVoice = voices.find(v => v.name === select.value);
-    });
-  }
-
-  populateVoices();
-
-  // Some browsers load voices asynchronously
-  window.speechSynthesis.onvoiceschanged = populateVoices;
-}
-
-// Speak question and answer
-function speakQuestion() {
-  speakText(filteredQuestions[currentIndex]?.question || "");
-}
-function speakAnswer() {
-  speakText(filteredQuestions[currentIndex]?.answer || "");
-}
-
-// Core TTS handler with chunking
-function speakText(text) {
-  if (!text || !window.speechSynthesis) return;
-
-  if (isSpeaking) {
-    speechSynthesis.cancel();
-    isSpeaking = false;
-    return;
-  }
-
-  const plainText = sanitizeTextForSpeech(text);
-  const CHUNK_SIZE = 200;
-  const chunks = [];
-
-  for (let i = 0; i < plainText.length; i += CHUNK_SIZE) {
-    chunks.push(plainText.slice(i, i + CHUNK_SIZE));
-  }
-
-  let idx = 0;
-  isSpeaking = true;
-
-  function speakChunk() {
-    if (idx >= chunks.length) {
-      isSpeaking = false;
-      return;
-    }
-
-    const utter = new SpeechSynthesisUtterance(chunks[idx]);
-    utter.voice = ttsVoice;
-    utter.lang = ttsVoice?.lang || "en-US";
-
-    utter.onend = () => {
-      idx++;
-      speakChunk(); // Recursive next chunk
-    };
-
-    utter.onerror = (err) => {
-      console.error("TTS error:", err);
-      isSpeaking = false;
-    };
-
-    speechSynthesis.speak(utter);
-  }
-
-  speakChunk();
-}
-
 /* ======================
    TOASTS
    ====================== */
@@ -729,6 +769,29 @@ function showError(show){ const el=document.getElementById("error"); if(el) el.s
 function escapeHtml(str){ return str.replace(/[&<>"']/g,m=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m])); }
 function parseFormattedContent(input){ return DOMPurify.sanitize(marked.parse(input||"")); }
 
+// Stable identity of a question: hash of its text without number, markup or asterisk
+function questionHash(q){
+  const text = String(q?.question || "")
+    .replace(/<[^>]*>/g, "")
+    .replace(/^\s*\d+\.\s*/, "")
+    .replace(/\*+\s*$/, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+
+  return hashString(text);
+}
+
+// FNV-1a 32-bit hash as 8 hex digits
+function hashString(text){
+  let hash = 0x811c9dc5;
+  for(let i = 0; i < text.length; i++){
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
 /* ======================
    KEYBOARD SHORTCUTS
    ====================== */
@@ -785,6 +848,19 @@ function initKeyboardShortcuts() {
         prevQuestion();
         break;
 
+      case "1": // Spaced repetition ratings or multiple-choice options
+      case "2":
+      case "3":
+      case "4":
+        if (filters.spacedRepetition && showAnswerFlag) {
+          e.preventDefault();
+          rateCurrentQuestion(SRS_GRADES[Number(key) - 1]);
+        } else if (filters.answerMode === "choice" && !showAnswerFlag) {
+          e.preventDefault();
+          selectChoice(Number(key) - 1);
+        }
+        break;
+
       case "b": // Bookmark
         e.preventDefault();
         toggleBookmark();
@@ -804,10 +880,11 @@ function initKeyboardShortcuts() {
         e.preventDefault();
 
         // Stop TTS if active
-        if (typeof isSpeaking !== "undefined" && isSpeaking) {
-          speechSynthesis.cancel();
-          isSpeaking = false;
-        }
+        pauseAudioMode();
+        if (isSpeaking) stopSpeaking();
+
+        // Stop listening for a spoken answer
+        stopListening();
 
         // Hide filters panel
         if (typeof filtersVisible !== "undefined" && filtersVisible) {
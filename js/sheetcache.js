@@ -0,0 +1,124 @@
+/**
+ * js/sheetcache.js
+ *
+ * IndexedDB cache for remote question sources (Google Sheets, published CSV).
+ * Features:
+ * - Stores every fetched set list and question set with a timestamp and content hash
+ * - Serves the cached copy instantly, then revalidates in the background
+ *   (stale-while-revalidate), at most once per CONFIG.SHEET_CACHE_MAX_AGE_MINUTES
+ * - Keeps the last good copy when the network or API fails
+ * - Must be loaded before sources.js, which wraps remote sources with withSheetCache()
+ */
+
+/* ======================
+   INDEXEDDB STORE
+   ====================== */
+const SHEET_CACHE_DB = "flashcards-cache";
+const SHEET_CACHE_STORE = "sheets";
+
+let sheetCacheDb = null; // Promise of the open database, or of null when IndexedDB is unavailable
+
+function openSheetCache() {
+  if (!sheetCacheDb) {
+    sheetCacheDb = new Promise(resolve => {
+      if (!window.indexedDB) return resolve(null);
+
+      const request = indexedDB.open(SHEET_CACHE_DB, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(SHEET_CACHE_STORE, { keyPath: "key" });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("Sheet cache unavailable:", request.error);
+        resolve(null);
+      };
+    });
+  }
+  return sheetCacheDb;
+}
+
+// Run one request against the store; resolves with its result, or null on any failure
+async function sheetCacheRequest(mode, makeRequest) {
+  const db = await openSheetCache();
+  if (!db) return null;
+
+  return new Promise(resolve => {
+    try {
+      const request = makeRequest(db.transaction(SHEET_CACHE_STORE, mode).objectStore(SHEET_CACHE_STORE));
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => resolve(null);
+    } catch (err) {
+      console.warn("Sheet cache error:", err);
+      resolve(null);
+    }
+  });
+}
+
+// { key, data, hash, fetchedAt } or null
+function readSheetCache(key) {
+  return sheetCacheRequest("readonly", store => store.get(key));
+}
+
+function writeSheetCache(key, data) {
+  const entry = { key, data, hash: hashString(JSON.stringify(data)), fetchedAt: Date.now() };
+  return sheetCacheRequest("readwrite", store => store.put(entry)).then(() => entry);
+}
+
+/* ======================
+   STALE-WHILE-REVALIDATE
+   ====================== */
+
+/**
+ * Cached result of fetcher() for key.
+ * - No cached copy: fetch, store and return (errors are thrown to the caller)
+ * - Cached copy: return it now and refresh it in the background; then
+ *   handlers.onUpdate(data) runs when the content changed, handlers.onOffline(fetchedAt) when the refresh failed
+ * - Only results passing handlers.isUsable(data) (default: a non-empty list) are stored, so a sheet
+ *   that was briefly emptied or an HTML error page never replaces the last good copy
+ */
+async function cachedFetch(key, fetcher, handlers = {}) {
+  const isUsable = handlers.isUsable || (data => Array.isArray(data) && data.length > 0);
+  const cached = await readSheetCache(key);
+  if (!cached) {
+    const data = await fetcher();
+    if (isUsable(data)) await writeSheetCache(key, data);
+    return data;
+  }
+
+  const maxAge = (CONFIG.SHEET_CACHE_MAX_AGE_MINUTES || 0) * 60 * 1000;
+  if (Date.now() - cached.fetchedAt >= maxAge) {
+    fetcher()
+      .then(data => {
+        if (!isUsable(data)) throw new Error("Refreshed copy has no usable questions");
+        return writeSheetCache(key, data);
+      })
+      .then(entry => {
+        if (entry.hash !== cached.hash && handlers.onUpdate) handlers.onUpdate(entry.data);
+      })
+      .catch(err => {
+        console.warn(`Using cached copy of ${key}:`, err);
+        if (handlers.onOffline) handlers.onOffline(cached.fetchedAt);
+      });
+  }
+
+  return cached.data;
+}
+
+// Worth caching: at least one question that validateQuestionSet() (schema.js) would show
+function isUsableQuestionSet(data) {
+  return Array.isArray(data) && data.length > 0 &&
+    validateQuestionSet(data.map(normalizeQuestionFlags)).valid.length > 0;
+}
+
+// Wrap a remote source so its set list and sets go through the cache
+function withSheetCache(source) {
+  if (!source.capabilities.remote) return source;
+
+  return {
+    ...source,
+    listSets: () => cachedFetch(`${source.id}:sets`, () => source.listSets()),
+    loadSet: setId => cachedFetch(`${source.id}:set:${setId}`, () => source.loadSet(setId), {
+      isUsable: isUsableQuestionSet,
+      onUpdate: data => handleRevalidatedSet(source.id, setId, data),
+      onOffline: fetchedAt => showOfflineCopyNotice(source.id, setId, fetchedAt)
+    })
+  };
+}
@@ -2,30 +2,74 @@
  * js/sheets.js
  *
  * Features:
- * - Fetches sheet names dynamically from Google Sheets API
- * - Populates "Question Sets" dropdown
- * - Loads questions from selected sheet
- * - Transforms raw Google Sheets data into structured question objects
- * - Handles API errors and provides fallback
+ * - Populates "Question Sets" dropdown from every active question source
+ *   (Google Sheets, published CSV, bundled local sets; see sources.js)
+ * - Tracks the selected set and its source; the set picked last is opened again on load
+ * - Loads questions from the selected set
+ * - Validates every loaded set and reports data problems (see schema.js)
+ * - Falls back to the next source by priority when a load fails
+ * - Applies background refreshes of cached remote sets and flags offline copies (see sheetcache.js)
  */
 
 /* ======================
-   FETCH SHEET NAMES
+   CURRENT SET SELECTION
    ====================== */
-async function fetchSheetNames() {
-  if (!CONFIG.SHEET_ID || !CONFIG.API_KEY) {
-    throw new Error("Missing SHEET_ID or API_KEY in CONFIG");
-  }
+let availableSets = []; // [{ source, id, name, ... }] listed in the dropdown
+let selectedSet = null; // Entry of availableSets currently loaded
+
+const LAST_SET_KEY = "lastSet"; // getCurrentSetKey() of the set picked last, opened again on load
+
+// Display name of the selected set
+function getCurrentSetName() {
+  return selectedSet ? selectedSet.name : CONFIG.SHEET_NAME;
+}
+
+// Stable key for per-set storage, e.g. "local:civics-2025" or "sheets:2008"
+function getCurrentSetKey() {
+  return selectedSet ? `${selectedSet.source}:${selectedSet.id}` : `sheets:${CONFIG.SHEET_NAME || "default"}`;
+}
+
+// USCIS test version of the selected set ("2008" or "2025"); guessed from size when unknown
+function getTestVersion() {
+  if (selectedSet && selectedSet.version) return String(selectedSet.version);
+  return questions.length > 100 ? "2025" : "2008";
+}
+
+function findAvailableSet(sourceId, setId) {
+  return availableSets.find(set => set.source === sourceId && set.id === setId) || null;
+}
 
-  const url = `https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(CONFIG.SHEET_ID)}?key=${encodeURIComponent(CONFIG.API_KEY)}`;
+// Update the selection from a dropdown <option> (carries data-source)
+function selectQuestionSet(option) {
+  if (!option || !option.value) return;
 
-  const response = await fetch(url, { cache: "no-cache" });
-  if (!response.ok) {
-    throw new Error(`Failed to fetch sheet names: ${response.statusText}`);
+  const set = findAvailableSet(option.dataset.source, option.value);
+  if (!set) return;
+  selectedSet = set;
+  saveLastSet();
+}
+
+function saveLastSet() {
+  try {
+    localStorage.setItem(LAST_SET_KEY, getCurrentSetKey());
+  } catch (err) {
+    console.warn("Could not save the selected set:", err);
   }
+}
+
+// Entry of availableSets picked last, if it is still listed
+function findLastSet() {
+  const key = localStorage.getItem(LAST_SET_KEY);
+  return availableSets.find(set => `${set.source}:${set.id}` === key) || null;
+}
 
-  const data = await response.json();
-  return data.sheets.map(sheet => sheet.properties.title);
+// Show selectedSet as the dropdown's choice
+function syncSheetSelector() {
+  const selector = document.getElementById("sheet-selector");
+  const option = selector && selectedSet && [...selector.options].find(
+    opt => opt.dataset.source === selectedSet.source && opt.value === selectedSet.id
+  );
+  if (option) option.selected = true;
 }
 
 /* ======================
@@ -35,108 +79,163 @@ async function initSheetsDropdown() {
   const selector = document.getElementById("sheet-selector");
   if (!selector) return;
 
-  try {
-    const sheetNames = await fetchSheetNames();
-
-    // Populate dropdown
-    selector.innerHTML = "";
-    sheetNames.forEach(name => {
-      const opt = document.createElement("option");
-      opt.value = name;
-      opt.textContent = name;
-      selector.appendChild(opt);
-    });
-
-    // Default to first sheet if CONFIG.SHEET_NAME not set
-    if (!CONFIG.SHEET_NAME && sheetNames.length > 0) {
-      CONFIG.SHEET_NAME = sheetNames[0];
+  availableSets = [];
+  selector.innerHTML = "";
+
+  for (const source of getActiveSources()) {
+    if (!source.capabilities.listed) continue;
+
+    let sets = [];
+    try {
+      sets = await source.listSets();
+    } catch (err) {
+      console.error(`Error loading sets from ${source.label}:`, err);
     }
+    if (!sets.length) continue;
 
-    // Trigger load from selected sheet
-    await loadQuestionsFromSelectedSheet();
+    sets.forEach(set => availableSets.push({ ...set, source: source.id }));
+    selector.appendChild(createSetGroup(source, sets));
+  }
 
-  } catch (err) {
-    console.error("Error loading sheet names:", err);
+  if (!availableSets.length) {
     selector.innerHTML = '<option value="">Default</option>';
+    return;
   }
+
+  // Reopen the set studied last, else the set named in CONFIG, else the first set of the top source
+  selectedSet =
+    findLastSet() ||
+    getActiveSources()
+      .map(source => findAvailableSet(source.id, source.preferredSetId()))
+      .find(Boolean) || availableSets[0];
+
+  syncSheetSelector();
+}
+
+// List a set of an unlisted source (e.g. the sample questions) once it is shown as a fallback
+function addUnlistedSet(source, set) {
+  const entry = { ...set, source: source.id };
+  availableSets.push(entry);
+  const selector = document.getElementById("sheet-selector");
+  if (selector) selector.appendChild(createSetGroup(source, [set]));
+  return entry;
+}
+
+function createSetGroup(source, sets) {
+  const group = document.createElement("optgroup");
+  group.label = source.label;
+  sets.forEach(set => {
+    const opt = document.createElement("option");
+    opt.value = set.id;
+    opt.textContent = set.name;
+    opt.dataset.source = source.id;
+    group.appendChild(opt);
+  });
+  return group;
 }
 
 /* ======================
-   LOAD QUESTIONS FROM GOOGLE SHEET
+   LOAD QUESTIONS FROM SELECTED SET
    ====================== */
 async function loadQuestionsFromSelectedSheet() {
-  if (!CONFIG.SHEET_NAME) {
-    console.warn("No sheet selected. Using mock questions.");
-    return [...MOCK_QUESTIONS];
+  const source = selectedSet && getQuestionSource(selectedSet.source);
+  setOfflineNotice(null);
+
+  if (source) {
+    try {
+      const loaded = validateLoadedSet(await source.loadSet(selectedSet.id), source, selectedSet.name);
+      if (loaded.length) return loaded;
+      console.warn(`"${selectedSet.name}" has no questions.`);
+    } catch (err) {
+      console.error("Failed to load questions:", err);
+      showToast(`Could not load "${selectedSet.name}": ${err.message}`, "error");
+    }
+  } else {
+    console.warn("No question set selected.");
   }
 
-  try {
-    const url = `https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(
-      CONFIG.SHEET_ID
-    )}/values/${encodeURIComponent(CONFIG.SHEET_NAME)}!${encodeURIComponent(CONFIG.RANGE)}?key=${encodeURIComponent(
-      CONFIG.API_KEY || ""
-    )}`;
-
-    const response = await fetch(url, { cache: "no-cache" });
-    if (!response.ok) {
-      throw new Error(`Google Sheets API error: ${response.status} ${response.statusText}`);
+  return loadQuestionsFromFallbackSources(source);
+}
+
+// Try the first set of every other active source, in priority order
+async function loadQuestionsFromFallbackSources(failedSource) {
+  for (const source of getActiveSources()) {
+    if (source === failedSource) continue;
+
+    try {
+      const [set] = await source.listSets();
+      if (!set) continue;
+
+      const loaded = validateLoadedSet(await source.loadSet(set.id), source, set.name);
+      if (loaded.length) {
+        console.warn(`Using fallback source: ${source.label}`);
+        // Study state is stored per set: save it under the set actually shown, not the one that failed
+        // (not remembered as the last set, so the next load tries the chosen one again)
+        selectedSet = findAvailableSet(source.id, set.id) || addUnlistedSet(source, set);
+        syncSheetSelector();
+        return loaded;
+      }
+    } catch (err) {
+      console.error(`Fallback source ${source.label} failed:`, err);
     }
+  }
 
-    const data = await response.json();
-    return transformSheetsData(data);
+  return [];
+}
 
-  } catch (err) {
-    console.error("Failed to load questions:", err);
-    return [...MOCK_QUESTIONS]; // fallback
-  }
+// Normalize flags, report data problems (see schema.js) and keep the rows that can be shown
+function validateLoadedSet(loaded, source, setName) {
+  const firstRow = source.capabilities.remote ? 2 : 1; // Sheet rows start below the header
+  const result = validateQuestionSet(Array.isArray(loaded) ? loaded.map(normalizeQuestionFlags) : loaded, firstRow);
+  reportValidationIssues(setName, result);
+  return result.valid;
 }
 
 /* ======================
-   HANDLE SHEET CHANGE EVENT
+   CACHED REMOTE SETS
    ====================== */
-async function handleSheetChange(event) {
-  const selected = event.target.value;
-  if (!selected) return;
+function isSelectedSet(sourceId, setId) {
+  return Boolean(selectedSet && selectedSet.source === sourceId && selectedSet.id === setId);
+}
 
-  CONFIG.SHEET_NAME = selected;
-  questions = await loadQuestionsFromSelectedSheet();
+// A background refresh found a newer version of a cached set
+function handleRevalidatedSet(sourceId, setId, data) {
+  if (!isSelectedSet(sourceId, setId)) return;
+
+  const loaded = validateLoadedSet(data, getQuestionSource(sourceId), selectedSet.name);
+  if (!loaded.length) return;
+
+  questions = loaded;
   initializeBookmarks();
-  applyFilters();
+  restoreProgress();
+  showToast(`"${getCurrentSetName()}" was updated`, "info");
 }
 
-/* ======================
-   TRANSFORM SHEETS DATA
-   ====================== */
-function transformSheetsData(data) {
-  if (!data || !data.values || data.values.length < 1) return [];
-
-  const rows = data.values;
-  const hasHeader = rows.length > 1;
-  const dataRows = hasHeader ? rows.slice(1) : rows;
-
-  return dataRows
-    .map((row, index) => {
-      const questionText = String(row[2] || "").trim();
-      return {
-        id: index + 1,
-        category: String(row[0] || "").trim(),
-        subCategory: String(row[1] || "").trim(),
-        question: questionText,
-        answer: String(row[3] || "").trim(),
-        questionWithAsterisk: String(row[4] || row[2] || "").trim(),
-        civicsTestUpdates: String(row[5] || "").trim(),
-        bookmark:
-          String(row[6] || "").toLowerCase() === "true" ||
-          String(row[6] || "") === "1",
-        asked:
-          String(row[7] || "").toLowerCase() === "true" ||
-          String(row[7] || "") === "1"
-      };
-    })
-    .filter(item => item.question && item.question.length > 0);
+// A cached set is shown but could not be refreshed
+function showOfflineCopyNotice(sourceId, setId, fetchedAt) {
+  if (isSelectedSet(sourceId, setId)) setOfflineNotice(fetchedAt);
+}
+
+function setOfflineNotice(fetchedAt) {
+  const notice = document.getElementById("offline-notice");
+  if (!notice) return;
+
+  notice.classList.toggle("hidden", !fetchedAt);
+  notice.innerHTML = fetchedAt
+    ? `<i class="fas fa-cloud-arrow-down"></i> Offline copy from ${escapeHtml(new Date(fetchedAt).toLocaleString())}`
+    : "";
 }
 
 /* ======================
-   INITIALIZE SHEETS DROPDOWN ON PAGE LOAD
+   HANDLE SHEET CHANGE EVENT
    ====================== */
-document.addEventListener("DOMContentLoaded", initSheetsDropdown);
+async function handleSheetChange(event) {
+  const selected = event.target.selectedOptions[0];
+  if (!selected || !selected.value) return;
+
+  progressSetKey = null; // Stop saving into the previous set
+  selectQuestionSet(selected);
+  questions = await loadQuestionsFromSelectedSheet();
+  initializeBookmarks();
+  restoreProgress();
+}
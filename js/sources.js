@@ -0,0 +1,399 @@
+/**
+ * js/sources.js
+ *
+ * Question-source adapters.
+ * Every source implements the same interface, so the loader never needs to
+ * know where questions come from:
+ * - id, label          Stable identifier and display name
+ * - isAvailable()      Whether the current configuration enables the source
+ * - describe()         { id, label, capabilities }
+ * - listSets()         Promise of [{ id, name, ... }]
+ * - loadSet(setId)     Promise of question objects
+ *
+ * Sources are tried in CONFIG.SOURCE_PRIORITY order. Custom sources can be
+ * added with registerQuestionSource() before the page finishes loading.
+ * Factories take an options object (defaults to CONFIG) so each adapter can
+ * be pointed at a local stub server.
+ */
+
+/* ======================
+   SOURCE REGISTRY
+   ====================== */
+const questionSources = new Map();
+
+function registerQuestionSource(source) {
+  if (!source || !source.id || typeof source.listSets !== "function" || typeof source.loadSet !== "function") {
+    throw new Error("Question source needs an id, listSets() and loadSet()");
+  }
+  questionSources.set(source.id, source);
+}
+
+function getQuestionSource(id) {
+  return questionSources.get(id) || null;
+}
+
+// Available sources, ordered by CONFIG.SOURCE_PRIORITY (unlisted sources go last)
+function getActiveSources() {
+  const priority = CONFIG.SOURCE_PRIORITY || [];
+  const rank = id => (priority.includes(id) ? priority.indexOf(id) : priority.length);
+
+  return [...questionSources.values()]
+    .filter(source => source.isAvailable())
+    .sort((a, b) => rank(a.id) - rank(b.id));
+}
+
+// Fill in defaults shared by every adapter
+function createQuestionSource(spec) {
+  return {
+    isAvailable: () => true,
+    preferredSetId: () => "",
+    ...spec,
+    capabilities: {
+      remote: false,     // Needs network access
+      listed: true,      // Shown in the "Question Sets" dropdown
+      ...spec.capabilities
+    },
+    describe() {
+      return { id: this.id, label: this.label, capabilities: { ...this.capabilities } };
+    }
+  };
+}
+
+async function fetchJson(url, errorPrefix) {
+  const response = await fetch(url, { cache: "no-cache" });
+  if (!response.ok) {
+    throw new Error(`${errorPrefix}: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+/* ======================
+   GOOGLE SHEETS API
+   ====================== */
+async function fetchSheetNames(options = CONFIG) {
+  if (!options.SHEET_ID || !options.API_KEY) {
+    throw new Error("Missing SHEET_ID or API_KEY in CONFIG");
+  }
+
+  const url = `https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(options.SHEET_ID)}?key=${encodeURIComponent(options.API_KEY)}`;
+
+  const data = await fetchJson(url, "Failed to fetch sheet names");
+  return data.sheets.map(sheet => sheet.properties.title);
+}
+
+async function fetchSheetValues(sheetName, options = CONFIG) {
+  const url = `https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(
+    options.SHEET_ID
+  )}/values/${encodeURIComponent(sheetName)}!${encodeURIComponent(options.RANGE)}?key=${encodeURIComponent(
+    options.API_KEY || ""
+  )}`;
+
+  return fetchJson(url, "Google Sheets API error");
+}
+
+function createSheetsSource(options = CONFIG) {
+  return createQuestionSource({
+    id: "sheets",
+    label: "Google Sheets",
+    capabilities: { remote: true },
+    isAvailable: () => Boolean(options.SHEET_ID && options.API_KEY),
+    preferredSetId: () => options.SHEET_NAME,
+    async listSets() {
+      const names = await fetchSheetNames(options);
+      return names.map(name => ({ id: name, name }));
+    },
+    async loadSet(setId) {
+      return transformSheetsData(await fetchSheetValues(setId, options));
+    }
+  });
+}
+
+/* ======================
+   PUBLISHED CSV
+   ====================== */
+function createCsvSource(options = CONFIG) {
+  return createQuestionSource({
+    id: "csv",
+    label: "Published Sheet",
+    capabilities: { remote: true },
+    isAvailable: () => Boolean(options.PUBLIC_CSV_URL),
+    async listSets() {
+      return [{ id: "csv", name: options.SHEET_NAME || "Published Sheet" }];
+    },
+    // Columns are matched by header, like the Sheets API range
+    async loadSet() {
+      const response = await fetch(options.PUBLIC_CSV_URL, { cache: "no-cache" });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch published CSV: ${response.status} ${response.statusText}`);
+      }
+      return transformSheetsData({ values: parseCsv(await response.text()) });
+    }
+  });
+}
+
+/**
+ * Parse RFC 4180 CSV into rows of string cells.
+ * Handles quoted fields, doubled quotes (""), newlines inside quotes
+ * (multi-line answers), a leading BOM and CRLF/LF line endings.
+ * Blank lines are skipped.
+ */
+function parseCsv(text) {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endField = () => { row.push(field); field = ""; };
+  const endRow = () => {
+    endField();
+    if (row.some(cell => cell.trim())) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      endField();
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || row.length) endRow();
+  return rows;
+}
+
+/* ======================
+   LOCAL JSON FILES
+   ====================== */
+
+// Used when the manifest is missing or empty
+const DEFAULT_LOCAL_SET = { id: "questions", name: "Default", file: "data/questions.json" };
+
+function createLocalSource(options = CONFIG) {
+  let sets = [];
+
+  return createQuestionSource({
+    id: "local",
+    label: "Bundled Sets",
+    preferredSetId: () => options.LOCAL_SET_ID,
+    async listSets() {
+      sets = options.LOCAL_SETS_URL ? await fetchLocalSets(options.LOCAL_SETS_URL) : [];
+      if (!sets.length) sets = [DEFAULT_LOCAL_SET];
+      return sets;
+    },
+    async loadSet(setId) {
+      if (!sets.length) await this.listSets();
+
+      const set = sets.find(s => s.id === setId);
+      if (!set) {
+        throw new Error(`Unknown local set: ${setId}`);
+      }
+
+      const response = await fetch(encodeURI(set.file));
+      if (!response.ok) {
+        throw new Error(`Failed to load "${set.name}": ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return Array.isArray(data) ? data : [];
+    }
+  });
+}
+
+async function fetchLocalSets(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch local sets: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return Array.isArray(data) ? data.filter(set => set && set.id && set.file) : [];
+  } catch (err) {
+    console.warn("Local question sets unavailable:", err);
+    return [];
+  }
+}
+
+/* ======================
+   INLINE MOCK QUESTIONS
+   ====================== */
+function createMockSource(options = CONFIG) {
+  return createQuestionSource({
+    id: "mock",
+    label: "Sample Questions",
+    capabilities: { listed: false },
+    isAvailable: () => Boolean(options.USE_MOCK),
+    async listSets() {
+      return [{ id: "mock", name: "Sample Questions" }];
+    },
+    async loadSet() {
+      return [...MOCK_QUESTIONS];
+    }
+  });
+}
+
+/* ======================
+   TRANSFORM SHEETS DATA
+   ====================== */
+const SHEET_FIELDS = [
+  "id", "category", "subCategory", "question", "answer",
+  "questionWithAsterisk", "civicsTestUpdates", "bookmark", "asked", "asOf", "source"
+];
+const REQUIRED_SHEET_COLUMNS = ["category", "subCategory", "question", "answer"];
+
+// Column order of sheets whose first row has no recognizable headers (the original layout)
+const LEGACY_SHEET_COLUMNS = [
+  "category", "subCategory", "question", "answer",
+  "questionWithAsterisk", "civicsTestUpdates", "bookmark", "asked", "asOf", "source"
+];
+
+// "Sub-Category", "sub category" and "subCategory" all become "subcategory"
+function normalizeHeader(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// "Question (es)", "Answer - zh-TW": translation columns, as { field, lang }.
+// The code needs brackets or a separator, so "Question No" is not read as Norwegian.
+const TRANSLATION_HEADER = /^(question|answer)\s*(?:\(\s*([a-z]{2,3}(?:-[a-z0-9]{2,4})?)\s*\)|[\[_:-]\s*([a-z]{2,3}(?:-[a-z0-9]{2,4})?)\s*\]?)$/i;
+
+// "zh-tw" -> "zh-TW"
+function normalizeLanguageCode(code) {
+  try {
+    return Intl.getCanonicalLocales(String(code).trim())[0];
+  } catch {
+    return String(code).trim().toLowerCase();
+  }
+}
+
+// Known language codes only, so "Answer Key" stays an extra column
+function isLanguageCode(code) {
+  try {
+    return Boolean(new Intl.DisplayNames(["en"], { type: "language", fallback: "none" }).of(code));
+  } catch {
+    return false;
+  }
+}
+
+function parseTranslationHeader(header) {
+  const match = String(header || "").trim().match(TRANSLATION_HEADER);
+  const lang = match && normalizeLanguageCode(match[2] || match[3]);
+  return lang && isLanguageCode(lang) ? { field: match[1].toLowerCase(), lang } : null;
+}
+
+/**
+ * Match header cells to question fields by name or CONFIG.COLUMN_ALIASES, ignoring case and punctuation.
+ * Returns [field or null] per column; the first column wins when two map to the same field.
+ */
+function mapSheetColumns(header, aliases = CONFIG.COLUMN_ALIASES || {}) {
+  const lookup = new Map();
+  SHEET_FIELDS.forEach(field => {
+    [field, ...(aliases[field] || [])].forEach(name => {
+      if (normalizeHeader(name)) lookup.set(normalizeHeader(name), field);
+    });
+  });
+
+  const used = new Set();
+  return header.map(cell => {
+    const field = lookup.get(normalizeHeader(cell)) || null;
+    if (!field || used.has(field)) return null;
+    used.add(field);
+    return field;
+  });
+}
+
+/**
+ * Turn sheet rows (Sheets API values or parsed CSV) into question objects.
+ * Columns are found by their header; "Question (es)"-style columns become `translations`
+ * and other unknown columns (notes...) are kept in `extra`, keyed by header.
+ * Throws when a required column is missing.
+ */
+function transformSheetsData(data, aliases) {
+  if (!data || !data.values || data.values.length < 1) return [];
+
+  const rows = data.values;
+  const header = rows[0].map(cell => String(cell || "").trim());
+  let fields = mapSheetColumns(header, aliases);
+  let dataRows = rows.slice(1);
+  let extraColumns = header.map((name, i) => (!fields[i] && name ? i : -1)).filter(i => i >= 0);
+  let translationColumns = extraColumns
+    .map(i => ({ index: i, ...parseTranslationHeader(header[i]) }))
+    .filter(column => column.lang);
+  extraColumns = extraColumns.filter(i => !translationColumns.some(column => column.index === i));
+
+  if (!fields.some(Boolean)) {
+    console.warn("No known column headers found; using the original column order.");
+    fields = LEGACY_SHEET_COLUMNS;
+    dataRows = rows; // No header row: the first row is a question
+    extraColumns = [];
+    translationColumns = [];
+  } else {
+    const missing = REQUIRED_SHEET_COLUMNS.filter(field => !fields.includes(field));
+    if (missing.length) {
+      throw new Error(
+        `Missing required column${missing.length > 1 ? "s" : ""}: ${missing.join(", ")} (found: ${header.filter(Boolean).join(", ")})`
+      );
+    }
+  }
+
+  const columnOf = field => fields.indexOf(field);
+
+  return dataRows.map((row, index) => {
+    const cell = field => (columnOf(field) >= 0 ? String(row[columnOf(field)] || "").trim() : "");
+    const questionText = cell("question");
+    const item = {
+      id: /^\d+$/.test(cell("id")) ? Number(cell("id")) : index + 1,
+      category: cell("category"),
+      subCategory: cell("subCategory"),
+      question: questionText,
+      answer: cell("answer"),
+      questionWithAsterisk: cell("questionWithAsterisk") || (questionText.includes("*") ? "Yes" : "No"),
+      civicsTestUpdates: cell("civicsTestUpdates"),
+      bookmark: cell("bookmark"), // Yes/No flags are normalized with the other loaders' (schema.js)
+      asked: cell("asked"),
+      asOf: cell("asOf"),
+      source: cell("source")
+    };
+
+    translationColumns.forEach(({ index: i, field, lang }) => {
+      const text = String(row[i] || "").trim();
+      if (!text) return;
+      item.translations = item.translations || {};
+      item.translations[lang] = { ...item.translations[lang], [field]: text };
+    });
+
+    if (extraColumns.length) {
+      item.extra = {};
+      extraColumns.forEach(i => { item.extra[header[i]] = String(row[i] || "").trim(); });
+    }
+    return item;
+  }); // Rows without a question are reported and skipped by validateQuestionSet()
+}
+
+/* ======================
+   BUILT-IN SOURCES
+   ====================== */
+registerQuestionSource(withSheetCache(createSheetsSource())); // Remote sources are cached (see sheetcache.js)
+registerQuestionSource(withSheetCache(createCsvSource()));
+registerQuestionSource(createLocalSource());
+registerQuestionSource(createMockSource());
@@ -0,0 +1,197 @@
+/**
+ * js/srs.js
+ *
+ * Spaced-repetition scheduling (SM-2 style).
+ * Features:
+ * - Self-graded rating after the answer is revealed: Again / Hard / Good / Easy
+ * - Per-card ease, interval and due date, saved per question set
+ * - "Next" picks the most overdue card, then unseen cards, within the current filters
+ */
+
+/* ======================
+   SCHEDULER
+   ====================== */
+const SRS_GRADES = ["again", "hard", "good", "easy"];
+const SRS_MIN_EASE = 1.3;
+const SRS_AGAIN_DELAY_MS = 10 * 60 * 1000; // Relearn failed cards in the same session
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createReviewCard() {
+  return { ease: 2.5, interval: 0, reps: 0, lapses: 0, due: 0, lastReviewed: 0 };
+}
+
+/**
+ * Compute the next state of a card for a grade. Pure: returns a new card.
+ * Intervals are in days; due and lastReviewed are epoch milliseconds.
+ */
+function scheduleReview(card, grade, now = Date.now()) {
+  const next = { ...createReviewCard(), ...card, lastReviewed: now };
+
+  switch (grade) {
+    case "again":
+      next.reps = 0;
+      next.lapses += 1;
+      next.interval = 0;
+      next.ease = Math.max(SRS_MIN_EASE, next.ease - 0.2);
+      next.due = now + SRS_AGAIN_DELAY_MS;
+      return next;
+
+    case "hard":
+      next.interval = Math.max(1, Math.round(next.interval * 1.2));
+      next.ease = Math.max(SRS_MIN_EASE, next.ease - 0.15);
+      break;
+
+    case "good":
+      next.interval = next.reps === 0 ? 1 : next.reps === 1 ? 6 : Math.round(next.interval * next.ease);
+      break;
+
+    case "easy":
+      next.interval = next.reps === 0 ? 4 : Math.round(Math.max(next.interval, 1) * next.ease * 1.3);
+      next.ease += 0.15;
+      break;
+
+    default:
+      throw new Error(`Unknown grade: ${grade}`);
+  }
+
+  next.reps += 1;
+  next.due = now + next.interval * DAY_MS;
+  return next;
+}
+
+/* ======================
+   REVIEW STATE (per set)
+   ====================== */
+let reviewState = { setKey: null, cards: {} }; // cards keyed by questionHash()
+
+function reviewStorageKey(setKey) {
+  return `srs:${setKey}`;
+}
+
+function getReviewCards() {
+  const setKey = getCurrentSetKey();
+  if (reviewState.setKey !== setKey) {
+    let cards = {};
+    try {
+      const parsed = JSON.parse(localStorage.getItem(reviewStorageKey(setKey)));
+      if (parsed && typeof parsed === "object") cards = parsed;
+    } catch {}
+    reviewState = { setKey, cards };
+  }
+  return reviewState.cards;
+}
+
+function saveReviewCards() {
+  if (!reviewState.setKey) return;
+  try {
+    localStorage.setItem(reviewStorageKey(reviewState.setKey), JSON.stringify(reviewState.cards));
+  } catch (err) {
+    console.warn("Could not save review schedule:", err);
+  }
+}
+
+function getReviewCard(q) {
+  return getReviewCards()[questionHash(q)] || null;
+}
+
+/* ======================
+   DUE QUEUE
+   ====================== */
+
+// Overdue cards first (most overdue first), then unseen cards in deck order
+function getDueQueue(list, now = Date.now()) {
+  const due = [];
+  const unseen = [];
+
+  list.forEach(q => {
+    const card = getReviewCard(q);
+    if (!card) unseen.push(q);
+    else if (card.due <= now) due.push({ q, due: card.due });
+  });
+
+  due.sort((a, b) => a.due - b.due);
+  return [...due.map(item => item.q), ...unseen];
+}
+
+// Index in filteredQuestions of the next card to study, avoiding the current one when possible
+function nextDueIndex() {
+  const current = filteredQuestions[currentIndex];
+  const queue = getDueQueue(filteredQuestions).filter(q => q !== current);
+
+  let nextQ = queue[0];
+  if (!nextQ) {
+    // Nothing due: take whichever card comes due soonest
+    nextQ = filteredQuestions
+      .filter(q => q !== current)
+      .sort((a, b) => (getReviewCard(a)?.due || 0) - (getReviewCard(b)?.due || 0))[0];
+    if (nextQ) showToast(`All caught up! Next review ${formatDueDate(getReviewCard(nextQ)?.due)}`, "success");
+  }
+
+  return nextQ ? filteredQuestions.indexOf(nextQ) : currentIndex;
+}
+
+function formatDueDate(due) {
+  if (!due) return "now";
+  const days = Math.round((due - Date.now()) / DAY_MS);
+  if (days <= 0) return "later today";
+  if (days === 1) return "tomorrow";
+  return `in ${days} days`;
+}
+
+/* ======================
+   RATING
+   ====================== */
+function rateCurrentQuestion(grade) {
+  const q = filteredQuestions[currentIndex];
+  if (!q || !filters.spacedRepetition || !showAnswerFlag) return;
+
+  const cards = getReviewCards();
+  const hash = questionHash(q);
+  cards[hash] = scheduleReview(cards[hash], grade);
+  saveReviewCards();
+  logStudyEvent("grade", q, { grade });
+
+  // A rating changes the schedule: go to the next due card (nextDueIndex) rather than replaying Prev history
+  historyForward = [];
+  nextQuestion();
+}
+
+/* ======================
+   UI
+   ====================== */
+function initSpacedRepetition() {
+  const btn = document.getElementById("srs-mode-btn");
+  if (!btn) return;
+  updateSpacedRepetitionButton();
+  btn.addEventListener("click", () => {
+    filters.spacedRepetition = !filters.spacedRepetition;
+    updateSpacedRepetitionButton();
+    updateRatingPanel();
+    saveProgress();
+    showToast(filters.spacedRepetition ? "Spaced repetition enabled!" : "Spaced repetition disabled", "info");
+  });
+}
+
+function updateSpacedRepetitionButton() {
+  const btn = document.getElementById("srs-mode-btn");
+  if (!btn) return;
+  btn.textContent = filters.spacedRepetition ? "Spaced Repetition On" : "Spaced Repetition Off";
+  btn.classList.toggle("active", filters.spacedRepetition);
+}
+
+// Rating buttons are shown once the answer is revealed in spaced-repetition mode
+function updateRatingPanel() {
+  const panel = document.getElementById("srs-rating");
+  const status = document.getElementById("srs-status");
+  if (!panel) return;
+
+  const visible = filters.spacedRepetition && showAnswerFlag && filteredQuestions.length > 0;
+  panel.classList.toggle("hidden", !visible);
+
+  if (status && filters.spacedRepetition) {
+    const now = Date.now();
+    const dueCount = filteredQuestions.filter(q => (getReviewCard(q)?.due ?? Infinity) <= now).length;
+    const newCount = filteredQuestions.filter(q => !getReviewCard(q)).length;
+    status.textContent = `Due: ${dueCount} | New: ${newCount}`;
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * js/stats.js
+ *
+ * Study statistics built from a local event log.
+ * Features:
+ * - Logs every reveal, answer check, spaced-repetition rating and mock-test grade
+ *   with a timestamp (localStorage "studyEvents", survives reloads; the last STUDY_EVENTS_MAX are kept)
+ * - Accuracy per category and sub-category, weakest questions (current set)
+ * - Study streaks and time spent per session (all sets)
+ * - Readiness estimate: chance of passing the interview from recent results
+ * - Export of the raw log as JSON
+ */
+
+/* ======================
+   EVENT LOG
+   ====================== */
+const STUDY_EVENTS_KEY = "studyEvents";
+const STUDY_EVENTS_MAX = 3000;                // Oldest events are dropped beyond this (~350 KB)
+const SESSION_GAP_MS = 30 * 60 * 1000;        // A longer pause starts a new session
+const READINESS_RECENT_RESULTS = 3;           // Results per question used for readiness
+
+let studyEvents = null; // Loaded lazily: [{ type, at, set, id, hash, mode?, grade?, correct? }]
+let studyEventsSaveFailed = false; // Toast only once per failure streak
+
+function getStudyEvents() {
+  if (!studyEvents) {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(STUDY_EVENTS_KEY));
+      studyEvents = Array.isArray(parsed) ? parsed : [];
+    } catch {
+      studyEvents = [];
+    }
+  }
+  return studyEvents;
+}
+
+// When storage is full, the older half of the log is dropped and the write tried again
+function saveStudyEvents() {
+  const events = getStudyEvents();
+  try {
+    localStorage.setItem(STUDY_EVENTS_KEY, JSON.stringify(events));
+    studyEventsSaveFailed = false;
+    return;
+  } catch (err) {
+    console.warn("Could not save study history:", err);
+  }
+
+  events.splice(0, Math.ceil(events.length / 2));
+  try {
+    localStorage.setItem(STUDY_EVENTS_KEY, JSON.stringify(events));
+    showToast("Storage is almost full: older study history was removed", "warning");
+    studyEventsSaveFailed = false;
+  } catch (err) {
+    console.warn("Could not save study history:", err);
+    if (!studyEventsSaveFailed) {
+      showToast("Study history could not be saved: browser storage is full", "error");
+    }
+    studyEventsSaveFailed = true;
+  }
+}
+
+/**
+ * Record a study event for a question.
+ * type: "reveal" | "check" (typed/spoken/choice) | "grade" (spaced repetition) | "mock"
+ */
+function logStudyEvent(type, q, details = {}) {
+  if (!q) return;
+  const events = getStudyEvents();
+  events.push({ type, at: Date.now(), set: getCurrentSetKey(), id: q.id, hash: questionHash(q), ...details });
+  if (events.length > STUDY_EVENTS_MAX) events.splice(0, events.length - STUDY_EVENTS_MAX);
+  saveStudyEvents();
+  renderStudyStats();
+}
+
+// true/false for events with a right-or-wrong outcome, null for plain reveals
+function eventOutcome(event) {
+  if (event.type === "grade") return event.grade !== "again";
+  if (event.type === "check" || event.type === "mock") return Boolean(event.correct);
+  return null;
+}
+
+/* ======================
+   STATISTICS
+   ====================== */
+
+// Outcomes per question of the current set, oldest first, keyed by questionHash()
+function getQuestionResults(events = getStudyEvents()) {
+  const setKey = getCurrentSetKey();
+  const results = new Map();
+  events.forEach(event => {
+    const outcome = eventOutcome(event);
+    if (event.set !== setKey || outcome === null) return;
+    if (!results.has(event.hash)) results.set(event.hash, []);
+    results.get(event.hash).push(outcome);
+  });
+  return results;
+}
+
+function summarizeResults(list) {
+  const attempts = list.length;
+  const correct = list.filter(Boolean).length;
+  return { attempts, correct, accuracy: attempts ? correct / attempts : null };
+}
+
+// [{ name, ...summary, subCategories: [{ name, ...summary }] }] for the current set
+function getCategoryAccuracy(results = getQuestionResults()) {
+  const groups = new Map();
+  questions.forEach(q => {
+    const outcomes = results.get(questionHash(q)) || [];
+    if (!groups.has(q.category)) groups.set(q.category, new Map());
+    const subs = groups.get(q.category);
+    subs.set(q.subCategory, [...(subs.get(q.subCategory) || []), ...outcomes]);
+  });
+
+  return [...groups].map(([name, subs]) => ({
+    name,
+    ...summarizeResults([...subs.values()].flat()),
+    subCategories: [...subs].map(([subName, outcomes]) => ({ name: subName, ...summarizeResults(outcomes) }))
+  }));
+}
+
+// Questions missed at least once, lowest accuracy first
+function getWeakestQuestions(limit = 5, results = getQuestionResults()) {
+  return questions
+    .map(q => ({ q, ...summarizeResults(results.get(questionHash(q)) || []) }))
+    .filter(item => item.attempts && item.correct < item.attempts)
+    .sort((a, b) => a.accuracy - b.accuracy || b.attempts - a.attempts)
+    .slice(0, limit);
+}
+
+// Consecutive days with any study, counting back from today (or yesterday)
+function getStudyStreaks(events = getStudyEvents(), now = Date.now()) {
+  const days = new Set(events.map(event => localDayKey(event.at)));
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  [...days].sort().forEach(day => {
+    const time = Date.parse(`${day}T12:00:00`);
+    run = previous !== null && Math.round((time - previous) / DAY_MS) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = time;
+  });
+
+  const cursor = new Date(now);
+  if (!days.has(localDayKey(cursor.getTime()))) cursor.setDate(cursor.getDate() - 1);
+  let current = 0;
+  while (days.has(localDayKey(cursor.getTime()))) {
+    current++;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+
+  return { current, longest };
+}
+
+function localDayKey(time) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// Sessions split on pauses longer than SESSION_GAP_MS: [{ start, end, duration, cards }]
+function getStudySessions(events = getStudyEvents()) {
+  const sessions = [];
+  events.forEach(event => {
+    const last = sessions[sessions.length - 1];
+    if (last && event.at - last.end <= SESSION_GAP_MS) {
+      last.end = event.at;
+      last.cards.add(`${event.set}:${event.hash}`);
+    } else {
+      sessions.push({ start: event.at, end: event.at, cards: new Set([`${event.set}:${event.hash}`]) });
+    }
+  });
+  return sessions.map(s => ({ start: s.start, end: s.end, duration: s.end - s.start, cards: s.cards.size }));
+}
+
+/**
+ * Chance of passing a standard interview for the current set.
+ * Each question counts as known with its recent accuracy (unpracticed questions as unknown),
+ * then the pass probability follows the binomial distribution of the USCIS rules.
+ * chance is null until a question has a right-or-wrong result (plain flip-card reveals have none).
+ */
+function estimateReadiness(results = getQuestionResults()) {
+  if (!questions.length) return null;
+
+  const practiced = questions.filter(q => results.has(questionHash(q))).length;
+  if (!practiced) return { chance: null, known: null, practiced, rules: null };
+
+  const known = questions.map(q => {
+    const recent = (results.get(questionHash(q)) || []).slice(-READINESS_RECENT_RESULTS);
+    return recent.length ? recent.filter(Boolean).length / recent.length : 0;
+  });
+  const p = known.reduce((sum, value) => sum + value, 0) / known.length;
+  const rules = getMockTestRules(getTestVersion(), false);
+
+  let chance = 0;
+  for (let k = rules.pass; k <= rules.asked; k++) {
+    chance += binomial(rules.asked, k) * p ** k * (1 - p) ** (rules.asked - k);
+  }
+
+  return { chance, known: p, practiced, rules };
+}
+
+function binomial(n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+  return result;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+function formatPercent(value) {
+  return value === null ? "–" : `${Math.round(value * 100)}%`;
+}
+
+/* ======================
+   STATS VIEW
+   ====================== */
+let studyStatsVisible = false;
+
+function toggleStudyStats() {
+  studyStatsVisible = !studyStatsVisible;
+  const content = document.getElementById("study-stats");
+  const text = document.getElementById("study-stats-text");
+  const chevron = document.getElementById("study-stats-chevron");
+  if (!content || !text || !chevron) return;
+  content.classList.toggle("show", studyStatsVisible);
+  text.textContent = studyStatsVisible ? "Hide Study Statistics" : "Show Study Statistics";
+  chevron.className = studyStatsVisible ? "fas fa-chevron-up" : "fas fa-chevron-down";
+  renderStudyStats();
+}
+
+function renderStudyStats() {
+  const content = document.getElementById("study-stats");
+  if (!content || !studyStatsVisible) return;
+
+  const results = getQuestionResults();
+  const overall = summarizeResults([...results.values()].flat());
+  const readiness = estimateReadiness(results);
+  const streaks = getStudyStreaks();
+  const sessions = getStudySessions();
+  const totalTime = sessions.reduce((sum, s) => sum + s.duration, 0);
+  const weakest = getWeakestQuestions(5, results);
+
+  const accuracyRow = (item, className = "") => `
+    <tr class="${className}">
+      <td>${escapeHtml(item.name || "Uncategorized")}</td>
+      <td>${item.attempts}</td>
+      <td>${formatPercent(item.accuracy)}</td>
+    </tr>`;
+
+  content.innerHTML = `
+    <div class="stats-grid">
+      <div class="stats-tile">
+        <span class="stats-value">${readiness ? formatPercent(readiness.chance) : "–"}</span>
+        <span class="stats-label">Chance to pass (${
+          !readiness ? "no questions"
+            : readiness.chance === null ? "not enough data yet: check answers, rate cards or take a mock test"
+            : `${readiness.practiced} of ${questions.length} practiced`
+        })</span>
+      </div>
+      <div class="stats-tile">
+        <span class="stats-value">${formatPercent(overall.accuracy)}</span>
+        <span class="stats-label">Accuracy (${overall.attempts} answers)</span>
+      </div>
+      <div class="stats-tile">
+        <span class="stats-value">${streaks.current} ${streaks.current === 1 ? "day" : "days"}</span>
+        <span class="stats-label">Streak (longest ${streaks.longest})</span>
+      </div>
+      <div class="stats-tile">
+        <span class="stats-value">${formatDuration(totalTime)}</span>
+        <span class="stats-label">Study time (${sessions.length} ${sessions.length === 1 ? "session" : "sessions"})</span>
+      </div>
+    </div>
+
+    <div class="answer-label">Accuracy by category</div>
+    <table class="stats-table">
+      <thead><tr><th>Category</th><th>Answers</th><th>Accuracy</th></tr></thead>
+      <tbody>
+        ${getCategoryAccuracy(results).map(category =>
+          accuracyRow(category) + category.subCategories.map(sub => accuracyRow(sub, "stats-sub")).join("")
+        ).join("")}
+      </tbody>
+    </table>
+
+    <div class="answer-label">Weakest questions</div>
+    ${weakest.length ? `
+      <ul class="stats-list">
+        ${weakest.map(item => `
+          <li>
+            <span>${escapeHtml(stripMarkup(item.q.question))}</span>
+            <span class="stats-label">${item.correct} of ${item.attempts} correct</span>
+          </li>`).join("")}
+      </ul>` : '<div class="progress-stats">No missed questions yet.</div>'}
+
+    <div class="answer-label">Recent sessions</div>
+    ${sessions.length ? `
+      <ul class="stats-list">
+        ${sessions.slice(-5).reverse().map(s => `
+          <li>
+            <span>${new Date(s.start).toLocaleString()}</span>
+            <span class="stats-label">${formatDuration(s.duration)}, ${s.cards} ${s.cards === 1 ? "card" : "cards"}</span>
+          </li>`).join("")}
+      </ul>` : '<div class="progress-stats">No study sessions yet.</div>'}
+
+    <div class="btn-group-flex">
+      <button class="btn btn-outline" onclick="exportStudyEvents()"><i class="fas fa-download"></i> Export Study Log</button>
+    </div>
+  `;
+}
+
+function exportStudyEvents() {
+  const date = new Date().toISOString().split("T")[0]; // YYYY-MM-DD
+  const data = {
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    events: getStudyEvents()
+  };
+
+  const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `study-log-${date}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+
+  showToast("Study log exported!", "info");
+}
@@ -0,0 +1,113 @@
+/**
+ * js/translations.js
+ *
+ * Translated questions and answers shown alongside the English card.
+ * Features:
+ * - Optional translations per question: `translations: { es: { question, answer } }` in JSON sets,
+ *   "Question (es)" / "Answer (es)" columns in sheets
+ * - Study-language setting (saved in localStorage), offering the languages of the loaded set
+ * - Bilingual card: the translation sits under the English question and answer
+ * - Translations are read aloud with a voice for their language
+ * - The test itself stays in English: answers are still checked against the English text
+ */
+
+/* ======================
+   TRANSLATION DATA
+   ====================== */
+const STUDY_LANGUAGE_KEY = "studyLanguage";
+
+let studyLanguage = ""; // Language code, "" for English only
+
+// { question, answer } of q in lang, or null
+function getTranslation(q, lang = studyLanguage) {
+  const translation = lang && q?.translations?.[lang];
+  return translation && (translation.question || translation.answer) ? translation : null;
+}
+
+// Language codes with at least one translation in list
+function getSetLanguages(list = questions) {
+  const langs = new Set();
+  list.forEach(q => Object.keys(q.translations || {}).forEach(lang => {
+    if (getTranslation(q, lang)) langs.add(lang);
+  }));
+  return [...langs].sort();
+}
+
+// Name of a language in that language ("español"), falling back to the code
+function languageName(lang) {
+  try {
+    return new Intl.DisplayNames([lang], { type: "language" }).of(lang) || lang;
+  } catch {
+    return lang;
+  }
+}
+
+/* ======================
+   SETTINGS UI
+   ====================== */
+function loadStudyLanguage() {
+  studyLanguage = localStorage.getItem(STUDY_LANGUAGE_KEY) || "";
+}
+
+function initStudyLanguage() {
+  loadStudyLanguage();
+  populateStudyLanguages();
+
+  const select = document.getElementById("study-language-select");
+  if (select) select.addEventListener("change", () => setStudyLanguage(select.value));
+  displayCurrentQuestion();
+}
+
+function setStudyLanguage(lang) {
+  studyLanguage = lang;
+  if (lang) localStorage.setItem(STUDY_LANGUAGE_KEY, lang);
+  else localStorage.removeItem(STUDY_LANGUAGE_KEY);
+  displayCurrentQuestion();
+}
+
+// Offer the languages of the loaded set; a saved language the set lacks stays selected but marked
+function populateStudyLanguages() {
+  const select = document.getElementById("study-language-select");
+  if (!select) return;
+
+  const available = getSetLanguages();
+  const langs = studyLanguage && !available.includes(studyLanguage) ? [...available, studyLanguage] : available;
+
+  select.innerHTML = '<option value="">English only</option>';
+  langs.forEach(lang => {
+    const opt = document.createElement("option");
+    opt.value = lang;
+    opt.textContent = `English + ${languageName(lang)}${available.includes(lang) ? "" : " (not in this set)"}`;
+    select.appendChild(opt);
+  });
+  select.value = studyLanguage;
+}
+
+/* ======================
+   BILINGUAL CARD
+   ====================== */
+function renderTranslations(q) {
+  const translation = q ? getTranslation(q) : null;
+  renderTranslationBlock("question-translation", "question", translation?.question);
+  renderTranslationBlock("answer-translation", "answer", showAnswerFlag ? translation?.answer : "");
+}
+
+function renderTranslationBlock(id, field, text) {
+  const block = document.getElementById(id);
+  if (!block) return;
+
+  block.classList.toggle("hidden", !text);
+  block.innerHTML = text ? `
+    <button title="Listen Translation" class="audio-toggle" onclick="speakTranslation('${field}')">
+      <i class="fas fa-volume-up"></i>
+    </button>
+    <div class="translation-label">${escapeHtml(languageName(studyLanguage))}</div>
+    <div class="translation-text" lang="${escapeHtml(studyLanguage)}">${parseFormattedContent(text)}</div>
+  ` : "";
+}
+
+function speakTranslation(field) {
+  const translation = getTranslation(filteredQuestions[currentIndex]);
+  const target = document.querySelector(`#${field}-translation .translation-text`);
+  if (translation?.[field]) speakText(translation[field], null, studyLanguage, target);
+}
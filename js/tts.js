@@ -0,0 +1,457 @@
+/**
+ * js/tts.js
+ *
+ * Text-to-speech for questions, answers and translations.
+ * Features:
+ * - Voice picker filtered by language; one saved voice per language, so English
+ *   and translations can each have their own
+ * - Speaking rate, pitch and volume, saved in localStorage with the voices
+ * - Preview button that reads the current question with the chosen settings
+ * - Markdown is read as prose: sentence by sentence, lists announced as alternatives,
+ *   without numbering, links or [bracketed notes]
+ * - Pause, resume, skip and stop, with the paragraph or list item being read highlighted
+ */
+
+/* ======================
+   TTS SETTINGS
+   ====================== */
+const TTS_SETTINGS_KEY = "ttsSettings";
+const DEFAULT_TTS_SETTINGS = { voices: {}, rate: 1, pitch: 1, volume: 1 };
+const TTS_RANGES = {
+  rate: { min: 0.5, max: 2 },
+  pitch: { min: 0, max: 2 },
+  volume: { min: 0, max: 1 }
+};
+
+let ttsSettings = { ...DEFAULT_TTS_SETTINGS, voices: {} };
+let ttsVoiceLanguage = "en"; // Language shown in the voice picker
+
+function clampTtsValue(name, value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return DEFAULT_TTS_SETTINGS[name];
+  return Math.min(TTS_RANGES[name].max, Math.max(TTS_RANGES[name].min, number));
+}
+
+function loadTtsSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(TTS_SETTINGS_KEY) || "{}") || {};
+  } catch {}
+
+  ttsSettings = {
+    voices: saved.voices && typeof saved.voices === "object" ? { ...saved.voices } : {},
+    rate: clampTtsValue("rate", saved.rate ?? DEFAULT_TTS_SETTINGS.rate),
+    pitch: clampTtsValue("pitch", saved.pitch ?? DEFAULT_TTS_SETTINGS.pitch),
+    volume: clampTtsValue("volume", saved.volume ?? DEFAULT_TTS_SETTINGS.volume)
+  };
+}
+
+function saveTtsSettings() {
+  localStorage.setItem(TTS_SETTINGS_KEY, JSON.stringify(ttsSettings));
+}
+
+// "en-US", "en_GB" -> "en"
+const baseLanguage = lang => String(lang || "").toLowerCase().replace("_", "-").split("-")[0];
+
+function getVoices() {
+  return window.speechSynthesis ? speechSynthesis.getVoices() : [];
+}
+
+// Voice for lang ("en", "es", "zh-TW"): the one saved for that language, else the first that speaks it
+function findVoiceForLanguage(lang) {
+  const code = lang.toLowerCase();
+  const speaks = voice => {
+    const voiceLang = voice.lang.toLowerCase().replace("_", "-");
+    return voiceLang === code || voiceLang.startsWith(`${code}-`) || code.startsWith(`${voiceLang}-`);
+  };
+
+  const voices = getVoices();
+  const saved = voices.find(voice => voice.name === ttsSettings.voices[baseLanguage(lang)]);
+  if (saved && speaks(saved)) return saved;
+
+  return voices.find(voice => voice.lang.toLowerCase().replace("_", "-") === code) || voices.find(speaks) || null;
+}
+
+/* ======================
+   SETTINGS UI
+   ====================== */
+function initTTSVoices() {
+  loadTtsSettings();
+  syncTtsControls();
+
+  const languageSelect = document.getElementById("tts-language-select");
+  const voiceSelect = document.getElementById("tts-voice-select");
+  if (languageSelect) {
+    languageSelect.addEventListener("change", () => {
+      ttsVoiceLanguage = languageSelect.value;
+      populateVoiceSelect();
+    });
+  }
+  if (voiceSelect) {
+    voiceSelect.addEventListener("change", () => {
+      if (voiceSelect.value) ttsSettings.voices[ttsVoiceLanguage] = voiceSelect.value;
+      else delete ttsSettings.voices[ttsVoiceLanguage];
+      saveTtsSettings();
+    });
+  }
+
+  Object.keys(TTS_RANGES).forEach(name => {
+    const input = document.getElementById(`tts-${name}`);
+    if (!input) return;
+    input.addEventListener("input", () => {
+      ttsSettings[name] = clampTtsValue(name, input.value);
+      updateTtsValueLabel(name);
+      saveTtsSettings();
+    });
+  });
+
+  // Some browsers load voices asynchronously
+  if (window.speechSynthesis) speechSynthesis.onvoiceschanged = populateVoiceLanguages;
+}
+
+// Bring every TTS control in line with ttsSettings (also after restoring a backup)
+function syncTtsControls() {
+  populateVoiceLanguages();
+  Object.keys(TTS_RANGES).forEach(name => {
+    const input = document.getElementById(`tts-${name}`);
+    if (input) input.value = String(ttsSettings[name]);
+    updateTtsValueLabel(name);
+  });
+}
+
+function updateTtsValueLabel(name) {
+  const label = document.getElementById(`tts-${name}-value`);
+  if (!label) return;
+  label.textContent = name === "volume" ? `${Math.round(ttsSettings.volume * 100)}%` : `${ttsSettings[name].toFixed(1)}×`;
+}
+
+function populateVoiceLanguages() {
+  const select = document.getElementById("tts-language-select");
+  if (!select) return;
+
+  const langs = [...new Set(getVoices().map(voice => baseLanguage(voice.lang)))].filter(Boolean);
+  if (!langs.includes("en")) langs.unshift("en");
+  langs.sort((a, b) => (a === "en" ? -1 : b === "en" ? 1 : languageName(a).localeCompare(languageName(b))));
+  if (!langs.includes(ttsVoiceLanguage)) ttsVoiceLanguage = "en";
+
+  select.innerHTML = "";
+  langs.forEach(lang => {
+    const opt = document.createElement("option");
+    opt.value = lang;
+    opt.textContent = languageName(lang);
+    select.appendChild(opt);
+  });
+  select.value = ttsVoiceLanguage;
+  populateVoiceSelect();
+}
+
+function populateVoiceSelect() {
+  const select = document.getElementById("tts-voice-select");
+  if (!select) return;
+
+  const voices = getVoices().filter(voice => baseLanguage(voice.lang) === ttsVoiceLanguage);
+  select.innerHTML = '<option value="">Browser default</option>';
+  voices.forEach(voice => {
+    const opt = document.createElement("option");
+    opt.value = voice.name;
+    opt.textContent = `${voice.name} (${voice.lang})`;
+    select.appendChild(opt);
+  });
+
+  const saved = ttsSettings.voices[ttsVoiceLanguage];
+  select.value = voices.some(voice => voice.name === saved) ? saved : "";
+  select.disabled = !voices.length;
+}
+
+// Read the current question (or its translation) in the picker's language with the current settings
+function previewVoice() {
+  if (!window.speechSynthesis) {
+    showToast("Speech is not supported in this browser", "error");
+    return;
+  }
+
+  const q = filteredQuestions[currentIndex];
+  const translation = q && Object.entries(q.translations || {})
+    .find(([lang, entry]) => baseLanguage(lang) === ttsVoiceLanguage && entry.question);
+  const text = ttsVoiceLanguage === "en"
+    ? q?.question || "What is the supreme law of the land?"
+    : translation?.[1].question || languageName(ttsVoiceLanguage);
+
+  stopSpeaking();
+  speakText(text, null, translation?.[0] || ttsVoiceLanguage);
+}
+
+function resetTtsSettings() {
+  ttsSettings = { ...DEFAULT_TTS_SETTINGS, voices: {} };
+  saveTtsSettings();
+  syncTtsControls();
+  showToast("Voice settings reset", "info");
+}
+
+/* ======================
+   SPEECH TEXT
+   ====================== */
+const MAX_UTTERANCE_LENGTH = 200; // Some engines cut off or skip longer utterances
+const SPEECH_BLOCKS = "p, li, h1, h2, h3, h4, h5, h6, blockquote, td, th";
+
+// Words ending in a period that do not end a sentence ("U.S.", "D.C.", "Jr.")
+const ABBREVIATION_END = /(?:\b(?:[A-Za-z]\.){1,3}|\b(?:Mr|Mrs|Ms|Dr|Jr|Sr|St|Gen|Lt|vs)\.)["”’')\]]*\s*$/;
+
+// Spoken form of rendered text: no [bracketed notes], question numbers, asterisk markers or bare URLs
+function cleanSpeechText(text) {
+  return String(text || "")
+    .replace(/\[[^\]]*\]/g, " ")
+    .replace(/^\s*\d+\.\s+/, "")
+    .replace(/https?:\/\/\S+/g, " ")
+    .replace(/\s*\*+\s*$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function splitSentences(text, lang = "en") {
+  let pieces;
+  try {
+    pieces = [...new Intl.Segmenter(lang, { granularity: "sentence" }).segment(text)].map(part => part.segment);
+  } catch {
+    pieces = text.match(/[^.!?。！？]+(?:[.!?。！？]+["”’')\]]*\s*|$)/g) || [text];
+  }
+
+  // Glue pieces split after an abbreviation back together
+  const sentences = [];
+  pieces.forEach(piece => {
+    const last = sentences.length - 1;
+    if (last >= 0 && ABBREVIATION_END.test(sentences[last])) sentences[last] += piece;
+    else sentences.push(piece);
+  });
+  return sentences.map(sentence => sentence.trim()).filter(Boolean);
+}
+
+// Break text longer than max at a clause boundary, else between words
+function splitLongText(text, max = MAX_UTTERANCE_LENGTH) {
+  const parts = [];
+  let rest = text;
+  while (rest.length > max) {
+    const head = rest.slice(0, max + 1);
+    let cut = Math.max(head.lastIndexOf(", "), head.lastIndexOf("; "), head.lastIndexOf(": ")) + 1;
+    if (cut < max / 2) cut = head.lastIndexOf(" ");
+    if (cut <= 0) cut = max; // One very long word
+    parts.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+/**
+ * What to say for rendered content, as [{ text, element }]: one entry per sentence (or shorter
+ * piece) of every paragraph and list item; element is the block to highlight while it is read.
+ * Lists of several items are read as alternatives: "One of: A. B. or C."
+ */
+function collectSpeechSegments(root, lang = "en") {
+  const segments = [];
+  const add = (text, element) => {
+    const clean = cleanSpeechText(text);
+    if (!clean) return;
+    splitSentences(clean, lang).forEach(sentence => {
+      splitLongText(sentence).forEach(part => segments.push({ text: part, element }));
+    });
+  };
+  const ownText = element => [...element.childNodes]
+    .filter(node => !(node.nodeType === 1 && /^(UL|OL)$/.test(node.nodeName)))
+    .map(node => node.textContent)
+    .join("");
+
+  const visit = element => {
+    if (/^(UL|OL)$/.test(element.nodeName)) {
+      const items = [...element.children].filter(item => item.nodeName === "LI" && cleanSpeechText(ownText(item)));
+      const english = baseLanguage(lang) === "en";
+      if (items.length > 1 && english) add("One of:", element);
+      items.forEach((item, i) => {
+        const last = items.length > 1 && i === items.length - 1;
+        add(`${last && english ? "or " : ""}${ownText(item)}`, item);
+        [...item.children].filter(child => /^(UL|OL)$/.test(child.nodeName)).forEach(visit);
+      });
+    } else if (element.matches(SPEECH_BLOCKS) || !element.querySelector(`${SPEECH_BLOCKS}, ul, ol`)) {
+      add(element.textContent, element);
+    } else {
+      [...element.children].forEach(visit);
+    }
+  };
+
+  if (root.querySelector(`${SPEECH_BLOCKS}, ul, ol`)) [...root.children].forEach(visit);
+  else add(root.textContent, root);
+  return segments;
+}
+
+// Segments for Markdown that is not on screen (rendered off-document)
+function speechSegmentsFromMarkdown(markdown, lang) {
+  const container = document.createElement("div");
+  container.innerHTML = parseFormattedContent(markdown);
+  return collectSpeechSegments(container, lang);
+}
+
+/* ======================
+   PLAYBACK QUEUE
+   ====================== */
+let speechQueue = null;   // { segments, index, voice, lang, paused, onEnd }
+let speechGeneration = 0; // Bumped on every cancel so late events of a cancelled utterance are ignored
+let speechHighlight = null;
+
+// Speak question and answer, highlighting the part being read
+function speakQuestion() {
+  speakText(filteredQuestions[currentIndex]?.question || "", null, "en", document.getElementById("question-text"));
+}
+function speakAnswer() {
+  const q = filteredQuestions[currentIndex];
+  speakText(q ? getLocalizedAnswer(q) : "", null, "en", document.getElementById("answer-text"));
+}
+
+/**
+ * Read Markdown text aloud; onEnd runs after the last segment (not when stopped).
+ * target: element showing the same text, read from its rendered content and highlighted.
+ * Calling it while speaking stops instead, except during audio mode: that is paused and
+ * the text is read.
+ */
+function speakText(text, onEnd, lang = "en", target = null) {
+  if (!text || !window.speechSynthesis) return;
+
+  if (audioMode.playing) {
+    pauseAudioMode();
+  } else if (isSpeaking) {
+    stopSpeaking();
+    return;
+  }
+
+  startSpeech(text, onEnd, lang, target);
+}
+
+// Like speakText, but replaces whatever is being read instead of toggling
+function startSpeech(text, onEnd, lang = "en", target = null) {
+  if (!text || !window.speechSynthesis) return;
+  if (isSpeaking) stopSpeaking();
+
+  const voice = findVoiceForLanguage(lang);
+  if (!voice && lang !== "en") {
+    showToast(`No ${languageName(lang)} voice is installed; your browser may use another one`, "warning");
+  }
+
+  const segments = target && target.isConnected && target.textContent.trim()
+    ? collectSpeechSegments(target, lang)
+    : speechSegmentsFromMarkdown(text, lang);
+  if (!segments.length) return;
+
+  speechQueue = { segments, index: 0, voice, lang, paused: false, onEnd };
+  isSpeaking = true;
+  speakCurrentSegment();
+}
+
+function speakCurrentSegment() {
+  const queue = speechQueue;
+  if (!queue) return;
+  if (queue.index >= queue.segments.length) {
+    finishSpeaking();
+    return;
+  }
+
+  const generation = ++speechGeneration;
+  const segment = queue.segments[queue.index];
+  highlightSpeechSegment(segment.element);
+  updateSpeechControls();
+
+  const utter = new SpeechSynthesisUtterance(segment.text);
+  utter.voice = queue.voice;
+  utter.lang = queue.voice?.lang || (queue.lang === "en" ? "en-US" : queue.lang);
+  utter.rate = ttsSettings.rate;
+  utter.pitch = ttsSettings.pitch;
+  utter.volume = ttsSettings.volume;
+
+  utter.onend = () => {
+    if (generation !== speechGeneration) return;
+    queue.index++;
+    speakCurrentSegment();
+  };
+
+  utter.onerror = (err) => {
+    if (generation !== speechGeneration) return;
+    console.error("TTS error:", err);
+    pauseAudioMode();
+    stopSpeaking();
+  };
+
+  speechSynthesis.speak(utter);
+}
+
+function finishSpeaking() {
+  const onEnd = speechQueue?.onEnd;
+  clearSpeechQueue();
+  if (onEnd) onEnd();
+}
+
+function stopSpeaking() {
+  speechGeneration++;
+  if (window.speechSynthesis) speechSynthesis.cancel();
+  clearSpeechQueue();
+}
+
+function clearSpeechQueue() {
+  speechQueue = null;
+  isSpeaking = false;
+  highlightSpeechSegment(null);
+  updateSpeechControls();
+}
+
+// Pausing cancels the current segment; resuming reads it again from its start
+// (speechSynthesis.pause() is unreliable across browsers)
+// During audio mode this pauses audio mode, which is resumed from its own controls
+function togglePauseSpeaking() {
+  const queue = speechQueue;
+  if (!queue) return;
+  if (audioMode.playing) {
+    pauseAudioMode();
+    return;
+  }
+
+  queue.paused = !queue.paused;
+  if (queue.paused) {
+    speechGeneration++;
+    speechSynthesis.cancel();
+    updateSpeechControls();
+  } else {
+    speakCurrentSegment();
+  }
+}
+
+function skipSpeechSegment() {
+  const queue = speechQueue;
+  if (!queue) return;
+
+  speechGeneration++;
+  speechSynthesis.cancel();
+  queue.index++;
+  queue.paused = false;
+  speakCurrentSegment();
+}
+
+function highlightSpeechSegment(element) {
+  if (speechHighlight) speechHighlight.classList.remove("tts-reading");
+  speechHighlight = element && element.isConnected ? element : null;
+  if (speechHighlight) speechHighlight.classList.add("tts-reading");
+}
+
+function updateSpeechControls() {
+  const controls = document.getElementById("tts-controls");
+  if (!controls) return;
+
+  const queue = speechQueue;
+  controls.classList.toggle("hidden", !queue);
+  if (!queue) return;
+
+  const pauseBtn = document.getElementById("tts-pause-btn");
+  if (pauseBtn) {
+    pauseBtn.innerHTML = queue.paused
+      ? '<i class="fas fa-play"></i> Resume'
+      : '<i class="fas fa-pause"></i> Pause';
+  }
+  const progress = document.getElementById("tts-progress");
+  if (progress) progress.textContent = `${Math.min(queue.index + 1, queue.segments.length)} / ${queue.segments.length}`;
+}
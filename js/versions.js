@@ -0,0 +1,222 @@
+/**
+ * js/versions.js
+ *
+ * Links the 2008 and 2025 versions of the civics test.
+ * Features:
+ * - Pairs questions that ask about the same fact across versions (data/versionmap.json,
+ *   by official question number), also used to carry bookmarks between versions
+ * - "Which test applies to me?": the Form N-400 filing date picks the version
+ *   (CONFIG.CIVICS_2025_FILING_DATE), with a button to switch to that set
+ * - What is new, changed or removed in the 2025 test
+ */
+
+/* ======================
+   VERSION MAP
+   ====================== */
+let versionMap = null; // Contents of data/versionmap.json
+
+async function loadVersionMap() {
+  if (!CONFIG.VERSION_MAP_URL) return null;
+  try {
+    const response = await fetch(CONFIG.VERSION_MAP_URL);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch version map: ${response.statusText}`);
+    }
+    return await response.json();
+  } catch (err) {
+    console.warn("Version map unavailable:", err);
+    return null;
+  }
+}
+
+// Number of the question in toVersion that matches question `id` of fromVersion, or null
+function getCounterpartId(id, fromVersion, toVersion) {
+  const pair = versionMap?.pairs.find(entry => entry[fromVersion] === id);
+  return pair?.[toVersion] ?? null;
+}
+
+// Question wording or answer without numbering, markup, asterisk and case
+const comparableText = text => normalizeAnswer(stripMarkup(String(text || "").replace(/^\s*\d+\.\s*/, "")));
+
+/**
+ * Compare two versions of the test.
+ * Returns { added: [newQ], removed: [oldQ], changed: [{ from, to, question, answer }], unchanged: [{ from, to }] }
+ * where question/answer tell whether the wording or the accepted answers differ.
+ */
+function compareVersions(oldList, newList, oldVersion, newVersion) {
+  const byId = new Map(newList.map(q => [q.id, q]));
+  const paired = new Set();
+  const result = { added: [], removed: [], changed: [], unchanged: [] };
+
+  oldList.forEach(from => {
+    const to = byId.get(getCounterpartId(from.id, oldVersion, newVersion));
+    if (!to) {
+      result.removed.push(from);
+      return;
+    }
+    paired.add(to.id);
+    const question = comparableText(from.question) !== comparableText(to.question);
+    const answer = comparableText(from.answer) !== comparableText(to.answer);
+    if (question || answer) result.changed.push({ from, to, question, answer });
+    else result.unchanged.push({ from, to });
+  });
+
+  result.added = newList.filter(q => !paired.has(q.id));
+  return result;
+}
+
+/* ======================
+   FILING DATE
+   ====================== */
+const FILING_DATE_KEY = "filingDate";
+
+// Test version for a Form N-400 filed on filingDate ("YYYY-MM-DD"), or null
+function getApplicableVersion(filingDate) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(filingDate || "")) return null;
+  return filingDate >= CONFIG.CIVICS_2025_FILING_DATE ? "2025" : "2008";
+}
+
+function getFilingDate() {
+  return localStorage.getItem(FILING_DATE_KEY) || "";
+}
+
+function setFilingDate(value) {
+  if (value) localStorage.setItem(FILING_DATE_KEY, value);
+  else localStorage.removeItem(FILING_DATE_KEY);
+  renderVersionPanel();
+}
+
+function findVersionSet(version) {
+  return availableSets.find(set => String(set.version) === version) || null;
+}
+
+async function switchToVersion(version) {
+  const set = findVersionSet(version);
+  const selector = document.getElementById("sheet-selector");
+  const option = set && selector && [...selector.options].find(
+    opt => opt.dataset.source === set.source && opt.value === set.id
+  );
+  if (!option) {
+    showToast(`No ${version} question set is available`, "error");
+    return;
+  }
+
+  option.selected = true;
+  await handleSheetChange({ target: selector });
+  renderVersionPanel();
+  showToast(`Studying "${set.name}"`, "success");
+}
+
+/* ======================
+   VERSION PANEL
+   ====================== */
+let versionPanelVisible = false;
+let versionComparison = null; // Promise of compareVersions() for the bundled sets
+
+function initVersions() {
+  loadVersionMap().then(map => {
+    versionMap = map;
+    renderVersionPanel();
+  });
+}
+
+function toggleVersionPanel() {
+  versionPanelVisible = !versionPanelVisible;
+  const content = document.getElementById("version-panel");
+  const text = document.getElementById("version-panel-text");
+  const chevron = document.getElementById("version-panel-chevron");
+  if (!content || !text || !chevron) return;
+  content.classList.toggle("show", versionPanelVisible);
+  text.textContent = versionPanelVisible ? "Hide Test Versions" : "Show Test Versions";
+  chevron.className = versionPanelVisible ? "fas fa-chevron-up" : "fas fa-chevron-down";
+  renderVersionPanel();
+}
+
+// Questions of the set for version, without touching the loaded set's validation report
+async function loadVersionQuestions(version) {
+  const set = findVersionSet(version);
+  if (!set) return null;
+  if (selectedSet && selectedSet.source === set.source && selectedSet.id === set.id) return questions;
+
+  const source = getQuestionSource(set.source);
+  return source ? (await source.loadSet(set.id)).map(normalizeQuestionFlags) : null;
+}
+
+function getVersionComparison() {
+  if (!versionComparison) {
+    versionComparison = Promise.all([loadVersionQuestions("2008"), loadVersionQuestions("2025")])
+      .then(([oldList, newList]) => (oldList && newList ? compareVersions(oldList, newList, "2008", "2025") : null))
+      .catch(err => {
+        console.warn("Could not compare test versions:", err);
+        versionComparison = null;
+        return null;
+      });
+  }
+  return versionComparison;
+}
+
+async function renderVersionPanel() {
+  const content = document.getElementById("version-panel");
+  if (!content || !versionPanelVisible) return;
+
+  const filingDate = getFilingDate();
+  const applicable = getApplicableVersion(filingDate);
+  const cutover = formatAsOfDate(CONFIG.CIVICS_2025_FILING_DATE);
+  const current = selectedSet ? getTestVersion() : null;
+
+  const verdict = !applicable
+    ? `<div class="progress-stats">Enter the date you filed (or will file) Form N-400. Applications filed on or after ${cutover} take the 2025 test; earlier ones take the 2008 test.</div>`
+    : `<div class="progress-stats">
+        <i class="fas fa-circle-check"></i>
+        Filed ${applicable === "2025" ? "on or after" : "before"} ${cutover}: you take the <strong>${applicable}</strong> civics test.
+      </div>
+      ${current && current !== applicable && findVersionSet(applicable) ? `
+        <div class="btn-group-flex">
+          <button class="btn btn-primary" onclick="switchToVersion('${applicable}')">
+            <i class="fas fa-right-left"></i> Study the ${applicable} questions
+          </button>
+        </div>` : ""}`;
+
+  content.innerHTML = `
+    <div class="filter-group">
+      <label class="filter-label" for="filing-date">Form N-400 filing date</label>
+      <input type="date" class="filter-select" id="filing-date" value="${escapeHtml(filingDate)}" onchange="setFilingDate(this.value)" />
+    </div>
+    ${verdict}
+    <div id="version-diff"><div class="progress-stats">Comparing versions...</div></div>
+  `;
+
+  const diff = document.getElementById("version-diff");
+  const comparison = versionMap ? await getVersionComparison() : null;
+  if (!diff || !diff.isConnected) return;
+  diff.innerHTML = comparison
+    ? renderVersionDiff(comparison)
+    : '<div class="progress-stats">The 2008 and 2025 question sets are needed to compare versions.</div>';
+}
+
+function renderVersionDiff({ added, removed, changed, unchanged }) {
+  const title = q => escapeHtml(stripMarkup(q.question));
+  const group = (label, items) => items.length ? `
+    <details class="version-diff-group">
+      <summary>${label} (${items.length})</summary>
+      <ul class="stats-list">${items.join("")}</ul>
+    </details>` : "";
+
+  const changedItems = changed.map(({ from, to, question, answer }) => `
+    <li>
+      <span>${title(to)}</span>
+      <span class="freshness-meta">
+        2008 #${from.id} → 2025 #${to.id}:
+        ${[question ? "reworded" : "", answer ? "answers changed" : ""].filter(Boolean).join(", ")}
+      </span>
+    </li>`);
+
+  return `
+    <div class="progress-stats">
+      2025 vs. 2008: ${added.length} new, ${changed.length} changed, ${removed.length} removed, ${unchanged.length} unchanged
+    </div>
+    ${group("New in 2025", added.map(q => `<li>${title(q)}</li>`))}
+    ${group("Changed", changedItems)}
+    ${group("Removed from 2008", removed.map(q => `<li>${title(q)}</li>`))}
+  `;
+}
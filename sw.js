@@ -0,0 +1,105 @@
+/**
+ * sw.js
+ *
+ * Service worker for offline use.
+ * Features:
+ * - Precaches the app shell, vendored libraries, icons and fonts and every bundled question set
+ * - Versioned cache: bump CACHE_VERSION whenever app files or data/*.json change
+ * - Cache-first for precached files, offline fallback to index.html for navigation
+ * - A new version waits until the page asks it to take over (update prompt in pwa.js)
+ */
+
+const CACHE_VERSION = "2025-03-01.27";
+const APP_CACHE = `flashcards-app-${CACHE_VERSION}`;
+const RUNTIME_CACHE = "flashcards-runtime"; // Icon and font CDNs of older versions, deleted on activate
+
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "manifest.webmanifest",
+  "icons/icon.svg",
+  "css/styles.css",
+  "config/config.js",
+  "vendor/marked.min.js",
+  "vendor/purify.min.js",
+  "vendor/fontawesome/css/all.min.css",
+  "vendor/fontawesome/webfonts/fa-solid-900.woff2",
+  "vendor/fontawesome/webfonts/fa-regular-400.woff2",
+  "vendor/fontawesome/webfonts/fa-brands-400.woff2",
+  "vendor/fontawesome/webfonts/fa-v4compatibility.woff2",
+  "vendor/inter/inter.css",
+  "vendor/inter/inter-latin-wght-normal.woff2",
+  "vendor/inter/inter-latin-ext-wght-normal.woff2",
+  "js/sheetcache.js",
+  "js/sources.js",
+  "js/schema.js",
+  "js/sheets.js",
+  "js/srs.js",
+  "js/mocktest.js",
+  "js/answers.js",
+  "js/choices.js",
+  "js/location.js",
+  "js/freshness.js",
+  "js/versions.js",
+  "js/translations.js",
+  "js/tts.js",
+  "js/audiomode.js",
+  "js/stats.js",
+  "js/backup.js",
+  "js/bookmarkimport.js",
+  "js/pwa.js",
+  "js/scripts.js",
+  "data/sets.json",
+  "data/locations.json",
+  "data/questions.json",
+  "data/versionmap.json",
+  "data/100 Civics Questions and Answers (2008 version).json",
+  "data/128 Civics Questions and Answers (2025 version).json"
+];
+
+self.addEventListener("install", event => {
+  event.waitUntil(caches.open(APP_CACHE).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => (key.startsWith("flashcards-app-") && key !== APP_CACHE) || key === RUNTIME_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", event => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  }
+  // Everything else (Google Sheets, analytics) goes straight to the network
+});
+
+async function cacheFirst(request) {
+  const cache = await caches.open(APP_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (err) {
+    if (request.mode === "navigate") {
+      const shell = await cache.match("index.html");
+      if (shell) return shell;
+    }
+    throw err;
+  }
+}